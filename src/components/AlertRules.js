@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { ALERT_TYPES, describeAlertRule } from '../services/alertService';
+
+const AlertRules = ({
+  darkMode,
+  symbol,
+  rules,
+  recentAlerts,
+  permission,
+  onAddRule,
+  onToggleRule,
+  onDeleteRule,
+  onRequestPermission
+}) => {
+  const [type, setType] = useState('newDistribution');
+  const [threshold, setThreshold] = useState('');
+  const [formError, setFormError] = useState(null);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const mutedClass = darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-2 rounded-md hover:bg-indigo-800"
+    : "bg-blue-100 text-blue-700 px-3 py-2 rounded-md hover:bg-blue-200";
+
+  const needsThreshold = ALERT_TYPES[type].needsThreshold;
+  const fundRules = rules.filter(rule => rule.symbol === symbol);
+
+  // Submit a new rule for the selected fund
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const error = onAddRule({
+      type,
+      threshold: needsThreshold ? parseFloat(threshold) : null
+    });
+
+    if (error) {
+      setFormError(error);
+      return;
+    }
+
+    setFormError(null);
+    setThreshold('');
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Alerts</h2>
+      <p className={`${textClass} mb-3`}>
+        Rules are checked every time the data refreshes (every 5 minutes while this tab is open).
+      </p>
+
+      {/* Notification permission */}
+      {permission === 'unsupported' && (
+        <p className={`${mutedClass} mb-4`}>This browser does not support notifications; alerts are listed below instead.</p>
+      )}
+      {permission === 'denied' && (
+        <p className={darkMode ? "text-yellow-300 text-sm mb-4" : "text-yellow-700 text-sm mb-4"}>
+          Notifications are blocked for this site. Allow them in the browser settings, or watch the list below.
+        </p>
+      )}
+      {permission === 'default' && (
+        <button onClick={onRequestPermission} className={`${buttonClass} mb-4`}>
+          Enable browser notifications
+        </button>
+      )}
+
+      {/* Add rule form */}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end mb-4">
+        <div>
+          <label className={labelClass}>Alert when</label>
+          <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+            {Object.values(ALERT_TYPES).map(alertType => (
+              <option key={alertType.id} value={alertType.id}>{alertType.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Threshold</label>
+          <input
+            type="number"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            min="0"
+            step="0.01"
+            disabled={!needsThreshold}
+            className={inputClass}
+          />
+        </div>
+        <button type="submit" className={buttonClass}>Add Alert</button>
+      </form>
+
+      {formError && (
+        <p className={darkMode ? "text-red-300 text-sm mb-4" : "text-red-600 text-sm mb-4"}>{formError}</p>
+      )}
+
+      {fundRules.length === 0 ? (
+        <p className={mutedClass}>No alerts set up for {symbol}.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {fundRules.map(rule => (
+            <li key={rule.id} className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => onToggleRule(rule.id)}
+                className="h-4 w-4"
+              />
+              <span className={rule.enabled ? textClass : mutedClass}>{describeAlertRule(rule)}</span>
+              <button
+                onClick={() => onDeleteRule(rule.id)}
+                className={darkMode ? "text-red-300 text-xs underline" : "text-red-600 text-xs underline"}
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Alerts triggered during this visit */}
+      {recentAlerts.length > 0 && (
+        <>
+          <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-2" : "text-lg font-bold text-gray-800 mb-2"}>
+            Recent Alerts
+          </h3>
+          <ul className={`${textClass} space-y-1`}>
+            {recentAlerts.map((alert, index) => (
+              <li key={index}>
+                <span className={mutedClass}>{alert.time}</span> <span className="font-medium">{alert.title}</span> {alert.body}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AlertRules;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { runBacktest } from '../services/backtestService';
+
+const BacktestAnalysis = ({ darkMode, symbol, priceHistory, dividendHistory, currentPrice }) => {
+  const [purchaseDate, setPurchaseDate] = useState('');
+  const [amount, setAmount] = useState('10000');
+  const [reinvest, setReinvest] = useState(false);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-2 rounded-md hover:bg-indigo-800"
+    : "bg-blue-100 text-blue-700 px-3 py-2 rounded-md hover:bg-blue-200";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const mutedClass = darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1";
+  const th = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const td = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+
+  // Colour a percentage green when positive and red when negative
+  const returnClass = (value) => {
+    if (value >= 0) return darkMode ? "text-2xl font-bold text-green-300" : "text-2xl font-bold text-green-700";
+    return darkMode ? "text-2xl font-bold text-red-300" : "text-2xl font-bold text-red-700";
+  };
+
+  const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+  if (!priceHistory || priceHistory.length === 0) {
+    return (
+      <div className={cardClass + " mb-8"}>
+        <h2 className={titleClass}>{symbol} "If I Had Bought" Backtest</h2>
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          Price history is unavailable, so a backtest cannot be run. Check your API key configuration.
+        </p>
+      </div>
+    );
+  }
+
+  const firstDate = priceHistory[0].date;
+  const lastDate = priceHistory[priceHistory.length - 1].date;
+  const effectiveDate = purchaseDate || firstDate;
+  const investment = parseFloat(amount);
+
+  const result = runBacktest({
+    priceHistory,
+    dividendHistory,
+    purchaseDate: effectiveDate,
+    amount: investment,
+    reinvest,
+    currentPrice
+  });
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} "If I Had Bought" Backtest</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+        <div>
+          <label className={labelClass}>Purchase Date</label>
+          <input
+            type="date"
+            value={effectiveDate}
+            min={firstDate}
+            max={lastDate}
+            onChange={(e) => setPurchaseDate(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Amount ($)</label>
+          <input
+            type="number"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            min="0"
+            step="100"
+            className={inputClass}
+          />
+        </div>
+        <button onClick={() => setPurchaseDate(firstDate)} className={buttonClass}>
+          Earliest Available ({firstDate})
+        </button>
+        <label className={`${textClass} flex items-center gap-2 pb-2`}>
+          <input type="checkbox" checked={reinvest} onChange={(e) => setReinvest(e.target.checked)} className="h-4 w-4" />
+          Reinvest distributions
+        </label>
+      </div>
+
+      {!result ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          Enter an amount above zero and a date within the loaded price history.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className={statCard}>
+              <h3 className={statLabel}>Income Received</h3>
+              <p className={statText}>${result.totalIncome.toFixed(2)}</p>
+              <p className={mutedClass}>
+                {result.distributionCount} distribution{result.distributionCount === 1 ? '' : 's'}
+                {reinvest ? ', reinvested' : ', held as cash'}
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Shares</h3>
+              <p className={statText}>{result.finalShares.toFixed(2)}</p>
+              <p className={mutedClass}>
+                {result.initialShares.toFixed(2)} bought at ${result.purchasePrice.toFixed(2)} on {result.purchaseDate}
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Current Value</h3>
+              <p className={statText}>${result.endingTotal.toFixed(2)}</p>
+              <p className={mutedClass}>
+                ${result.currentValue.toFixed(2)} in shares at ${result.endPrice.toFixed(2)}
+                {result.cashIncome > 0 && ` + $${result.cashIncome.toFixed(2)} cash`}
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Total Return</h3>
+              <p className={returnClass(result.totalReturn)}>{formatPercent(result.totalReturn)}</p>
+              <p className={mutedClass}>Price alone: {formatPercent(result.priceReturn)}</p>
+            </div>
+          </div>
+
+          <div className="h-72 mb-6">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.series}>
+                <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+                <XAxis dataKey="date" tick={tickStyle} minTickGap={30} />
+                <YAxis domain={[0, 'auto']} tick={tickStyle} />
+                <Tooltip
+                  formatter={(value, name) => [`$${value.toFixed(2)}`, name]}
+                  contentStyle={{
+                    backgroundColor: darkMode ? '#374151' : '#fff',
+                    borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                    color: darkMode ? '#F3F4F6' : '#111827'
+                  }}
+                />
+                <Legend />
+                <ReferenceLine y={investment} stroke={darkMode ? "#6B7280" : "#9CA3AF"} strokeDasharray="4 4" />
+                <Line type="monotone" dataKey="totalValue" name="Total Value" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} strokeWidth={2} />
+                <Line type="monotone" dataKey="positionValue" name="Position Value" stroke={darkMode ? "#F87171" : "#DC2626"} dot={false} strokeWidth={2} />
+                {!reinvest && (
+                  <Line type="stepAfter" dataKey="cashIncome" name="Cash Distributions" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} strokeWidth={2} />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {result.rows.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+                <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                  <tr>
+                    <th className={`${th} text-left`}>Distribution</th>
+                    <th className={`${th} text-left`}>Ex-Dividend Date</th>
+                    <th className={`${th} text-right`}>Per Share</th>
+                    <th className={`${th} text-right`}>Shares Held</th>
+                    <th className={`${th} text-right`}>Income</th>
+                    {reinvest && <th className={`${th} text-right`}>Reinvested At</th>}
+                    {reinvest && <th className={`${th} text-right`}>Shares Bought</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...result.rows].reverse().map(row => (
+                    <tr key={row.exDate}>
+                      <td className={td}>{row.label}</td>
+                      <td className={td}>{row.exDate}</td>
+                      <td className={`${td} text-right`}>${row.dividend.toFixed(4)}</td>
+                      <td className={`${td} text-right`}>{row.sharesHeld.toFixed(2)}</td>
+                      <td className={`${td} text-right`}>${row.income.toFixed(2)}</td>
+                      {reinvest && (
+                        <td className={`${td} text-right`}>{row.reinvestPrice ? `$${row.reinvestPrice.toFixed(2)}` : '-'}</td>
+                      )}
+                      {reinvest && <td className={`${td} text-right`}>{row.sharesPurchased.toFixed(4)}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+            Note: Shares are bought at the purchase day's close. Reinvestment uses the close on each ex-dividend date;
+            estimated distributions are left out. Taxes and fees are ignored.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestAnalysis;
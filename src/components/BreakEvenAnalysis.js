@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { DIVIDEND_PATHS, projectBreakEven } from '../services/breakEvenService';
+
+const BreakEvenAnalysis = ({ darkMode, symbol, investmentAmount, sharePrice, monthlyDividend }) => {
+  const [monthlyPriceChange, setMonthlyPriceChange] = useState('-3');
+  const [dividendPath, setDividendPath] = useState('priceLinked');
+  const [monthlyDividendChange, setMonthlyDividendChange] = useState('-2');
+  const [maxMonths, setMaxMonths] = useState(60);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const mutedClass = darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+
+  const result = projectBreakEven({
+    investmentAmount,
+    startPrice: sharePrice,
+    monthlyDividend,
+    monthlyPriceChange: parseFloat(monthlyPriceChange) || 0,
+    dividendPath,
+    monthlyDividendChange: parseFloat(monthlyDividendChange) || 0,
+    maxMonths
+  });
+
+  const describeMonth = (month) => {
+    if (month === null) return `Not within ${maxMonths} months`;
+    const row = result.series[month - 1];
+    return `Month ${month} (${row.label})`;
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Break-Even Analysis</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4">
+        <div>
+          <label className={labelClass}>Monthly Price Change (%)</label>
+          <input
+            type="number"
+            value={monthlyPriceChange}
+            onChange={(e) => setMonthlyPriceChange(e.target.value)}
+            step="0.5"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Dividend Path</label>
+          <select value={dividendPath} onChange={(e) => setDividendPath(e.target.value)} className={inputClass}>
+            {Object.values(DIVIDEND_PATHS).map(path => (
+              <option key={path.id} value={path.id}>{path.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Monthly Dividend Change (%)</label>
+          <input
+            type="number"
+            value={monthlyDividendChange}
+            onChange={(e) => setMonthlyDividendChange(e.target.value)}
+            step="0.5"
+            disabled={dividendPath !== 'trend'}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Horizon</label>
+          <select value={maxMonths} onChange={(e) => setMaxMonths(parseInt(e.target.value, 10))} className={inputClass}>
+            {[24, 36, 60, 120].map(months => (
+              <option key={months} value={months}>{months} months</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!result ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          Break-even analysis needs a current price, an investment amount and a dividend above zero.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className={statCard}>
+              <h3 className={statLabel}>Break-Even</h3>
+              <p className={statText}>{result.breakEvenMonth === null ? 'Not reached' : `${result.breakEvenMonth} mo`}</p>
+              <p className={mutedClass}>Distributions plus position value reach ${investmentAmount.toLocaleString()}: {describeMonth(result.breakEvenMonth)}</p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Payback</h3>
+              <p className={statText}>{result.paybackMonth === null ? 'Not reached' : `${result.paybackMonth} mo`}</p>
+              <p className={mutedClass}>Distributions alone repay the investment: {describeMonth(result.paybackMonth)}</p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>After {maxMonths} Months</h3>
+              <p className={statText}>${result.series[result.series.length - 1].totalValue.toFixed(2)}</p>
+              <p className={mutedClass}>
+                ${result.series[result.series.length - 1].cumulativeIncome.toFixed(2)} income + $
+                {result.series[result.series.length - 1].positionValue.toFixed(2)} position
+              </p>
+            </div>
+          </div>
+
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.series}>
+                <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+                <XAxis dataKey="label" angle={-45} textAnchor="end" height={60} tick={tickStyle} minTickGap={20} />
+                <YAxis domain={[0, 'auto']} tick={tickStyle} />
+                <Tooltip
+                  formatter={(value, name) => [`$${value.toFixed(2)}`, name]}
+                  contentStyle={{
+                    backgroundColor: darkMode ? '#374151' : '#fff',
+                    borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                    color: darkMode ? '#F3F4F6' : '#111827'
+                  }}
+                />
+                <Legend />
+                <ReferenceLine
+                  y={investmentAmount}
+                  stroke={darkMode ? "#FBBF24" : "#D97706"}
+                  strokeDasharray="4 4"
+                  label={{ value: 'Invested', fill: darkMode ? "#FBBF24" : "#D97706", position: 'insideTopLeft' }}
+                />
+                {result.breakEvenMonth !== null && (
+                  <ReferenceLine
+                    x={result.series[result.breakEvenMonth - 1].label}
+                    stroke={darkMode ? "#A78BFA" : "#7E22CE"}
+                    label={{ value: 'Break-even', fill: darkMode ? "#A78BFA" : "#7E22CE", position: 'top' }}
+                  />
+                )}
+                <Line type="monotone" dataKey="totalValue" name="Income + Position Value" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} strokeWidth={2} />
+                <Line type="monotone" dataKey="cumulativeIncome" name="Cumulative Income" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} strokeWidth={2} />
+                <Line type="monotone" dataKey="positionValue" name="Position Value" stroke={darkMode ? "#F87171" : "#DC2626"} dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+            Note: Starts from ${monthlyDividend.toFixed(4)} per share (the calculator's dividend assumption) at ${sharePrice.toFixed(2)}
+            (the calculator's share price).
+            Distributions are held as cash, not reinvested.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BreakEvenAnalysis;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, exportDataset } from '../services/exportService';
+
+const DataExport = ({ darkMode, symbol, datasets }) => {
+  const [error, setError] = useState(null);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-1 rounded-md hover:bg-indigo-800 text-sm"
+    : "bg-blue-100 text-blue-700 px-3 py-1 rounded-md hover:bg-blue-200 text-sm";
+
+  const handleExport = (dataset, format) => {
+    setError(null);
+    try {
+      exportDataset(dataset, format, symbol);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError(`Could not export ${dataset.label}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>Export Data</h2>
+      <p className={`${textClass} mb-3`}>
+        Download each data set for use in a spreadsheet. The lifecycle status (projected, announced, confirmed, revised) and source are included as columns.
+      </p>
+
+      {datasets.length === 0 ? (
+        <p className={textClass}>Nothing to export yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {datasets.map(dataset => (
+            <div key={dataset.id} className="flex flex-wrap items-center gap-2">
+              <span className={`${textClass} w-44`}>
+                {dataset.label} ({dataset.rows.length} row{dataset.rows.length === 1 ? '' : 's'})
+              </span>
+              {EXPORT_FORMATS.map(format => (
+                <button key={format} onClick={() => handleExport(dataset, format)} className={buttonClass}>
+                  {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <p className={darkMode ? "mt-3 text-sm text-red-300" : "mt-3 text-sm text-red-600"}>{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default DataExport;
@@ -0,0 +1,67 @@
+import React from 'react';
+import { RECORD_SOURCES } from '../services/dividendValidationService';
+
+const DataQualityPanel = ({ darkMode, symbol, issues, recordCount }) => {
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const th = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const td = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  const severityClass = (severity) => {
+    if (severity === 'error') return darkMode ? "text-red-300 font-medium" : "text-red-700 font-medium";
+    return darkMode ? "text-yellow-300 font-medium" : "text-yellow-700 font-medium";
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Data Quality</h2>
+
+      <p className={`${textClass} mb-4`}>
+        {recordCount} record{recordCount === 1 ? '' : 's'} in use.{' '}
+        {issues.length === 0
+          ? 'Every record passed validation.'
+          : `${errorCount} rejected, ${warningCount} flagged and corrected.`}
+      </p>
+
+      {issues.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+            <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+              <tr>
+                <th className={`${th} text-left`}>Severity</th>
+                <th className={`${th} text-left`}>Source</th>
+                <th className={`${th} text-left`}>Record</th>
+                <th className={`${th} text-left`}>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map((issue, index) => (
+                <tr key={index}>
+                  <td className={td}>
+                    <span className={severityClass(issue.severity)}>
+                      {issue.severity === 'error' ? 'Rejected' : 'Flagged'}
+                    </span>
+                  </td>
+                  <td className={td}>{RECORD_SOURCES[issue.source] || issue.source}</td>
+                  <td className={td}>{issue.label}</td>
+                  <td className={td}>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Note: Records from the fallback data, dividend API, cache, imports and estimator are checked on every load.
+        Rejected records are left out of all calculations; flagged records are kept after correction.
+      </div>
+    </div>
+  );
+};
+
+export default DataQualityPanel;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { buildDistributionEvents, exportDistributionCalendar } from '../services/calendarService';
+
+const DistributionCalendar = ({ darkMode, symbol, dividendHistory, shares, forecastModel }) => {
+  const [projectedMonths, setProjectedMonths] = useState(3);
+  const [error, setError] = useState(null);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const inputClass = darkMode
+    ? "p-1 border border-gray-600 rounded-md bg-gray-700 text-white"
+    : "p-1 border border-gray-300 rounded-md";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-1 rounded-md hover:bg-indigo-800"
+    : "bg-blue-100 text-blue-700 px-3 py-1 rounded-md hover:bg-blue-200";
+
+  const options = { symbol, shares, modelId: forecastModel, projectedMonths };
+  const events = buildDistributionEvents(dividendHistory, options);
+
+  const handleDownload = () => {
+    setError(null);
+    try {
+      exportDistributionCalendar(dividendHistory, options);
+    } catch (err) {
+      console.error('Error exporting calendar:', err);
+      setError(`Could not create the calendar file: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>Upcoming {symbol} Dates</h2>
+      <p className={`${textClass} mb-3`}>
+        Add ex-dividend and payment dates to your calendar. Projected dates follow the recent ex-date pattern and
+        are marked tentative; shares must be bought before the ex-date to receive a distribution.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label htmlFor="calendarMonths" className={textClass}>Project ahead</label>
+        <select
+          id="calendarMonths"
+          value={projectedMonths}
+          onChange={(e) => setProjectedMonths(parseInt(e.target.value, 10))}
+          className={inputClass}
+        >
+          {[1, 3, 6, 12].map(months => (
+            <option key={months} value={months}>{months} month{months === 1 ? '' : 's'}</option>
+          ))}
+        </select>
+        <button onClick={handleDownload} className={buttonClass} disabled={events.length === 0}>
+          Download .ics ({events.length} event{events.length === 1 ? '' : 's'})
+        </button>
+      </div>
+
+      {events.length === 0 ? (
+        <p className={textClass}>No upcoming dates. Projections need at least one distribution in the history.</p>
+      ) : (
+        <ul className={`${textClass} space-y-1`}>
+          {events.slice(0, 6).map(event => (
+            <li key={event.uid}>
+              <span className="font-medium">{event.date}</span> {event.summary}
+              {event.tentative && (
+                <span className={darkMode ? "ml-2 text-xs text-yellow-300" : "ml-2 text-xs text-yellow-700"}>tentative</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className={darkMode ? "mt-3 text-sm text-red-300" : "mt-3 text-sm text-red-600"}>{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default DistributionCalendar;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { parseDividendFile } from '../services/importService';
+
+const DividendImport = ({ darkMode, symbol, priceHistory, importedCount, onImport, onClear }) => {
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-1 rounded-md hover:bg-indigo-800"
+    : "bg-blue-100 text-blue-700 px-3 py-1 rounded-md hover:bg-blue-200";
+  const resetButtonClass = darkMode
+    ? "bg-gray-700 text-gray-200 px-3 py-1 rounded-md hover:bg-gray-600"
+    : "bg-gray-100 text-gray-700 px-3 py-1 rounded-md hover:bg-gray-200";
+
+  // Read and validate the chosen file
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    setMessage(null);
+    if (!file) {
+      setParsed(null);
+      return;
+    }
+
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      setParsed(parseDividendFile(text, file.name, priceHistory));
+    } catch (err) {
+      console.error('Error reading dividend file:', err);
+      setParsed({ records: [], errors: [{ row: 0, message: `Could not read file: ${err.message}` }] });
+    }
+    e.target.value = '';
+  };
+
+  // Store the valid rows
+  const handleImport = () => {
+    onImport(parsed.records);
+    setMessage(`Imported ${parsed.records.length} distribution${parsed.records.length === 1 ? '' : 's'} from ${fileName}.`);
+    setParsed(null);
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>Import {symbol} Distributions</h2>
+      <p className={`${textClass} mb-3`}>
+        Load a CSV or JSON file with columns for ex-date, pay date, amount and an optional return of capital percentage
+        (e.g. <code>exDate,payDate,amount,roc</code>). Dates may be YYYY-MM-DD or M/D/YYYY. Imported rows replace
+        existing records with the same ex-date and are kept for future visits. Yields are measured at the ex-date close
+        and show as n/a for dates outside the loaded price history.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={handleFileChange}
+          className={textClass}
+        />
+        {importedCount > 0 && (
+          <button onClick={onClear} className={resetButtonClass}>
+            Remove {importedCount} imported record{importedCount === 1 ? '' : 's'}
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <p className={darkMode ? "mt-3 text-sm text-green-300" : "mt-3 text-sm text-green-700"}>{message}</p>
+      )}
+
+      {parsed && (
+        <div className="mt-4">
+          <p className={textClass}>
+            {fileName}: {parsed.records.length} valid row{parsed.records.length === 1 ? '' : 's'}
+            {parsed.errors.length > 0 && `, ${parsed.errors.length} rejected`}
+          </p>
+
+          {parsed.errors.length > 0 && (
+            <ul className={darkMode ? "mt-2 text-xs text-red-300 list-disc ml-5" : "mt-2 text-xs text-red-600 list-disc ml-5"}>
+              {parsed.errors.map((err, index) => (
+                <li key={index}>{err.row > 0 ? `Row ${err.row}: ` : ''}{err.message}</li>
+              ))}
+            </ul>
+          )}
+
+          {parsed.records.length > 0 && (
+            <button onClick={handleImport} className={`${buttonClass} mt-3`}>
+              Import {parsed.records.length} record{parsed.records.length === 1 ? '' : 's'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DividendImport;
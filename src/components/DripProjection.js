@@ -0,0 +1,111 @@
+import React from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+
+const DripProjection = ({ darkMode, projection, summary, months }) => {
+  if (!projection || projection.length === 0 || !summary) {
+    return null;
+  }
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>Dividend Reinvestment Projection ({months} months)</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className={statCard}>
+          <h3 className={labelClass}>Final Share Count</h3>
+          <p className={statText}>{summary.finalShares.toFixed(2)}</p>
+        </div>
+        <div className={statCard}>
+          <h3 className={labelClass}>Final Position Value</h3>
+          <p className={statText}>${summary.finalValue.toFixed(2)}</p>
+          <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+            At ${summary.finalPrice.toFixed(2)} per share
+          </p>
+        </div>
+        <div className={statCard}>
+          <h3 className={labelClass}>Total Income Reinvested</h3>
+          <p className={statText}>${summary.totalIncome.toFixed(2)}</p>
+        </div>
+        <div className={statCard}>
+          <h3 className={labelClass}>Final-Year Income</h3>
+          <p className={statText}>${summary.finalYearIncome.toFixed(2)}</p>
+          <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+            ${summary.finalMonthlyIncome.toFixed(2)} in the last month
+          </p>
+        </div>
+      </div>
+
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={projection}>
+            <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+            <XAxis
+              dataKey="label"
+              angle={-45}
+              textAnchor="end"
+              height={60}
+              tick={tickStyle}
+            />
+            <YAxis yAxisId="value" domain={[0, 'auto']} tick={tickStyle} />
+            <YAxis yAxisId="income" orientation="right" domain={[0, 'auto']} tick={tickStyle} />
+            <YAxis yAxisId="shares" hide domain={[0, 'auto']} />
+            <Tooltip
+              formatter={(value, name) => [
+                name === 'Shares' ? value.toFixed(2) : `$${value.toFixed(2)}`,
+                name
+              ]}
+              contentStyle={{
+                backgroundColor: darkMode ? '#374151' : '#fff',
+                borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                color: darkMode ? '#F3F4F6' : '#111827'
+              }}
+            />
+            <Legend />
+            <Line
+              yAxisId="value"
+              type="monotone"
+              dataKey="positionValue"
+              name="Position Value"
+              stroke={darkMode ? "#A78BFA" : "#7E22CE"}
+              dot={false}
+              strokeWidth={2}
+            />
+            <Line
+              yAxisId="income"
+              type="monotone"
+              dataKey="income"
+              name="Monthly Income"
+              stroke={darkMode ? "#34D399" : "#16A34A"}
+              dot={false}
+              strokeWidth={2}
+            />
+            <Line
+              yAxisId="shares"
+              type="monotone"
+              dataKey="shares"
+              name="Shares"
+              stroke={darkMode ? "#60A5FA" : "#2563EB"}
+              dot={false}
+              strokeDasharray="4 4"
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Note: Each monthly distribution is reinvested at the assumed share price for that month. Actual prices and distributions will differ.
+      </div>
+    </div>
+  );
+};
+
+export default DripProjection;
@@ -0,0 +1,135 @@
+import React from 'react';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { analyzeExDividendDrops, summarizeExDividendDrops } from '../services/exDividendService';
+
+const ExDividendDropAnalysis = ({ darkMode, symbol, priceHistory, dividendHistory }) => {
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const mutedClass = darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1";
+  const th = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const td = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+
+  const events = analyzeExDividendDrops(priceHistory, dividendHistory);
+  const summary = summarizeExDividendDrops(events);
+
+  if (!summary) {
+    return (
+      <div className={cardClass + " mb-8"}>
+        <h2 className={titleClass}>{symbol} Ex-Dividend Price Drop</h2>
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          No ex-dividend dates are covered by the loaded price history. Check your API key configuration.
+        </p>
+      </div>
+    );
+  }
+
+  const formatPercent = (value) => (value === null ? '-' : `${value.toFixed(0)}%`);
+  const formatDays = (value) => (value === null ? '-' : `${Math.round(value)} day${Math.round(value) === 1 ? '' : 's'}`);
+  const formatPrice = (value) => (value === null ? '-' : `$${value.toFixed(2)}`);
+
+  const chartData = [...events].reverse();
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Ex-Dividend Price Drop</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        <div className={statCard}>
+          <h3 className={statLabel}>Opening Drop</h3>
+          <p className={statText}>{formatPercent(summary.medianOpenDropPercent)}</p>
+          <p className={mutedClass}>Median share of the dividend (average {formatPercent(summary.averageOpenDropPercent)})</p>
+        </div>
+        <div className={statCard}>
+          <h3 className={statLabel}>Closing Drop</h3>
+          <p className={statText}>{formatPercent(summary.medianCloseDropPercent)}</p>
+          <p className={mutedClass}>Median share of the dividend (average {formatPercent(summary.averageCloseDropPercent)})</p>
+        </div>
+        <div className={statCard}>
+          <h3 className={statLabel}>Recovery Time</h3>
+          <p className={statText}>{formatDays(summary.medianRecoveryDays)}</p>
+          <p className={mutedClass}>
+            Median (average {formatDays(summary.averageRecoveryDays)}, longest {formatDays(summary.longestRecoveryDays)})
+          </p>
+        </div>
+        <div className={statCard}>
+          <h3 className={statLabel}>Recovered</h3>
+          <p className={statText}>{summary.recoveredCount} of {summary.eventCount}</p>
+          <p className={mutedClass}>{summary.unrecoveredCount} still below the prior close</p>
+        </div>
+      </div>
+
+      <div className="h-72 mb-6">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+            <XAxis dataKey="label" angle={-45} textAnchor="end" height={60} tick={tickStyle} />
+            <YAxis tick={tickStyle} tickFormatter={(value) => `${value}%`} />
+            <Tooltip
+              formatter={(value, name) => [value === null ? '-' : `${value.toFixed(1)}% of dividend`, name]}
+              contentStyle={{
+                backgroundColor: darkMode ? '#374151' : '#fff',
+                borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                color: darkMode ? '#F3F4F6' : '#111827'
+              }}
+            />
+            <Legend />
+            <ReferenceLine
+              y={100}
+              stroke={darkMode ? "#FBBF24" : "#D97706"}
+              strokeDasharray="4 4"
+              label={{ value: 'Full dividend', fill: darkMode ? "#FBBF24" : "#D97706", position: 'insideTopLeft' }}
+            />
+            <Bar dataKey="openDropPercentOfDividend" name="Opening Drop" fill={darkMode ? "#60A5FA" : "#2563EB"} />
+            <Bar dataKey="closeDropPercentOfDividend" name="Closing Drop" fill={darkMode ? "#A78BFA" : "#7E22CE"} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+          <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+            <tr>
+              <th className={`${th} text-left`}>Ex-Dividend Date</th>
+              <th className={`${th} text-right`}>Dividend</th>
+              <th className={`${th} text-right`}>Prior Close</th>
+              <th className={`${th} text-right`}>Ex-Date Open</th>
+              <th className={`${th} text-right`}>Ex-Date Close</th>
+              <th className={`${th} text-right`}>Open Drop / Dividend</th>
+              <th className={`${th} text-right`}>Close Drop / Dividend</th>
+              <th className={`${th} text-right`}>Days to Recover</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(event => (
+              <tr key={event.exDate}>
+                <td className={td}>{event.exDate} <span className={mutedClass}>({event.label})</span></td>
+                <td className={`${td} text-right`}>${event.dividend.toFixed(4)}</td>
+                <td className={`${td} text-right`}>{formatPrice(event.closeBefore)}</td>
+                <td className={`${td} text-right`}>{formatPrice(event.exOpen)}</td>
+                <td className={`${td} text-right`}>{formatPrice(event.exClose)}</td>
+                <td className={`${td} text-right`}>{formatPercent(event.openDropPercentOfDividend)}</td>
+                <td className={`${td} text-right`}>{formatPercent(event.closeDropPercentOfDividend)}</td>
+                <td className={`${td} text-right`}>
+                  {event.recoveryDays === null ? 'Not yet' : formatDays(event.recoveryDays)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Note: Drops are measured from the close before the ex-date. 100% means the price fell by exactly the dividend.
+        Recovery counts calendar days from the ex-date to the first close at or above the prior close.
+      </div>
+    </div>
+  );
+};
+
+export default ExDividendDropAnalysis;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { isConfirmedRecord } from '../services/dividendLifecycleService';
+
+const HoldingsLedger = ({
+  darkMode,
+  symbol,
+  transactions,
+  dividendsReceived,
+  summary,
+  onAddTransaction,
+  onDeleteTransaction
+}) => {
+  const [type, setType] = useState('buy');
+  const [date, setDate] = useState('');
+  const [shares, setShares] = useState('');
+  const [price, setPrice] = useState('');
+  const [formError, setFormError] = useState(null);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const th = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const td = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+
+  // Submit a new buy or sell to the ledger
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const error = onAddTransaction({
+      type,
+      date,
+      shares: parseFloat(shares),
+      price: parseFloat(price)
+    });
+
+    if (error) {
+      setFormError(error);
+      return;
+    }
+
+    setFormError(null);
+    setShares('');
+    setPrice('');
+  };
+
+  const sortedTransactions = [...transactions].sort((a, b) => (a.date < b.date ? 1 : -1));
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Holdings Ledger</h2>
+
+      {/* Add transaction form */}
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end mb-4">
+        <div>
+          <label className={labelClass}>Type</label>
+          <select value={type} onChange={(e) => setType(e.target.value)} className={inputClass}>
+            <option value="buy">Buy</option>
+            <option value="sell">Sell</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Date</label>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Shares</label>
+          <input type="number" value={shares} onChange={(e) => setShares(e.target.value)} min="0" step="0.0001" className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Price ($)</label>
+          <input type="number" value={price} onChange={(e) => setPrice(e.target.value)} min="0" step="0.01" className={inputClass} />
+        </div>
+        <button
+          type="submit"
+          className={darkMode
+            ? "bg-indigo-900 text-indigo-100 px-3 py-2 rounded-md hover:bg-indigo-800"
+            : "bg-blue-100 text-blue-700 px-3 py-2 rounded-md hover:bg-blue-200"}
+        >
+          Add {type === 'buy' ? 'Lot' : 'Sell'}
+        </button>
+      </form>
+
+      {formError && (
+        <p className={darkMode ? "text-red-300 text-sm mb-4" : "text-red-600 text-sm mb-4"}>{formError}</p>
+      )}
+
+      {transactions.length === 0 ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          No transactions recorded yet. Add your purchase lots to see the dividends each one actually received.
+        </p>
+      ) : (
+        <>
+          {/* Position summary */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+            <div className={statCard}>
+              <h3 className={statLabel}>Shares Held</h3>
+              <p className={statText}>{summary.sharesHeld.toFixed(2)}</p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Cost Basis</h3>
+              <p className={statText}>${summary.costBasis.toFixed(2)}</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                ${summary.averageCost.toFixed(2)} average per share
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Market Value</h3>
+              <p className={statText}>${summary.marketValue.toFixed(2)}</p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Dividends Received</h3>
+              <p className={statText}>${summary.totalIncome.toFixed(2)}</p>
+            </div>
+          </div>
+
+          {/* Transactions table */}
+          <div className="overflow-x-auto mb-6">
+            <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+              <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                <tr>
+                  <th className={`${th} text-left`}>Date</th>
+                  <th className={`${th} text-left`}>Type</th>
+                  <th className={`${th} text-right`}>Shares</th>
+                  <th className={`${th} text-right`}>Price</th>
+                  <th className={`${th} text-right`}>Dividends Received</th>
+                  <th className={`${th} text-center`}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedTransactions.map(txn => (
+                  <tr key={txn.id}>
+                    <td className={td}>{txn.date}</td>
+                    <td className={td}>{txn.type === 'buy' ? 'Buy' : 'Sell'}</td>
+                    <td className={`${td} text-right`}>{txn.shares.toFixed(4)}</td>
+                    <td className={`${td} text-right`}>${txn.price.toFixed(2)}</td>
+                    <td className={`${td} text-right`}>
+                      {txn.type === 'buy' ? `$${(summary.incomeByLot[txn.id] || 0).toFixed(2)}` : '-'}
+                    </td>
+                    <td className={`${td} text-center`}>
+                      <button
+                        onClick={() => onDeleteTransaction(txn.id)}
+                        className={darkMode ? "text-red-300 text-xs underline" : "text-red-600 text-xs underline"}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Dividends actually received */}
+          <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
+            Dividends Received
+          </h3>
+          {dividendsReceived.length === 0 ? (
+            <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+              None of your lots were held before an ex-dividend date in the loaded history.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+                <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                  <tr>
+                    <th className={`${th} text-left`}>Distribution</th>
+                    <th className={`${th} text-left`}>Ex-Dividend Date</th>
+                    <th className={`${th} text-right`}>Per Share</th>
+                    <th className={`${th} text-right`}>Shares Held</th>
+                    <th className={`${th} text-right`}>Income</th>
+                    <th className={`${th} text-right`}>Lots</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dividendsReceived.map(row => (
+                    <tr key={row.exDate}>
+                      <td className={td}>
+                        {row.label}
+                        {!isConfirmedRecord(row) && <span className="text-yellow-500 ml-1">📊</span>}
+                      </td>
+                      <td className={td}>{row.exDate}</td>
+                      <td className={`${td} text-right`}>${row.dividend.toFixed(4)}</td>
+                      <td className={`${td} text-right`}>{row.sharesHeld.toFixed(2)}</td>
+                      <td className={`${td} text-right`}>${row.income.toFixed(2)}</td>
+                      <td className={`${td} text-right text-xs`}>
+                        {row.lots.map(lot => `${lot.date}: $${lot.income.toFixed(2)}`).join(', ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HoldingsLedger;
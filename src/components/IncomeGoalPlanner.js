@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { calculateRequiredInvestment, getHistoricalDividendLevels } from '../services/goalService';
+import { calculateScenario } from '../services/scenarioService';
+import { forecastDividend, getNextForecastPeriod, listForecastModels } from '../services/forecastService';
+
+const IncomeGoalPlanner = ({
+  darkMode,
+  symbol,
+  currentPrice,
+  averageMonthlyDividend,
+  dividendHistory,
+  scenarios,
+  taxSettings
+}) => {
+  const [targetIncome, setTargetIncome] = useState('1000');
+  const [period, setPeriod] = useState('monthly');
+  const [afterTax, setAfterTax] = useState(false);
+  const [basis, setBasis] = useState('average');
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const mutedClass = darkMode ? "text-gray-400 text-xs" : "text-gray-500 text-xs";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const th = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const td = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+
+  const nextPeriod = getNextForecastPeriod(dividendHistory);
+
+  // Dividend and price assumption for the selected basis
+  const getAssumption = () => {
+    if (basis.startsWith('scenario:')) {
+      const scenario = scenarios.find(item => `scenario:${item.id}` === basis);
+      if (scenario) {
+        const figures = calculateScenario(scenario, { currentPrice, averageMonthlyDividend });
+        return { label: scenario.name, dividend: figures.dividend, price: figures.price };
+      }
+    }
+    if (basis.startsWith('forecast:')) {
+      const modelId = basis.slice('forecast:'.length);
+      const forecast = forecastDividend(dividendHistory, modelId, nextPeriod);
+      const model = listForecastModels().find(item => item.id === modelId);
+      if (forecast && model) {
+        return { label: `${model.label} forecast`, dividend: forecast.estimate, price: currentPrice };
+      }
+    }
+    return { label: 'Historical average', dividend: averageMonthlyDividend, price: currentPrice };
+  };
+
+  const assumption = getAssumption();
+  const goal = {
+    targetIncome: parseFloat(targetIncome),
+    period,
+    taxSettings: afterTax ? taxSettings : null
+  };
+  const result = calculateRequiredInvestment({ ...goal, monthlyDividend: assumption.dividend, price: assumption.price });
+  const sensitivity = getHistoricalDividendLevels(dividendHistory).map(level => ({
+    ...level,
+    result: calculateRequiredInvestment({ ...goal, monthlyDividend: level.dividend, price: assumption.price })
+  }));
+
+  const formatMoney = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Income Goal Planner</h2>
+      <p className={`${textClass} mb-4`}>
+        Enter the income you want and see how much you would need to invest to earn it.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+        <div>
+          <label className={labelClass}>Target Income ($)</label>
+          <input
+            type="number"
+            value={targetIncome}
+            onChange={(e) => setTargetIncome(e.target.value)}
+            min="0"
+            step="50"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Per</label>
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} className={inputClass}>
+            <option value="monthly">Month</option>
+            <option value="annual">Year</option>
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Dividend Assumption</label>
+          <select value={basis} onChange={(e) => setBasis(e.target.value)} className={inputClass}>
+            <option value="average">Historical average</option>
+            {scenarios.length > 0 && (
+              <optgroup label="Saved scenarios">
+                {scenarios.map(scenario => (
+                  <option key={scenario.id} value={`scenario:${scenario.id}`}>{scenario.name}</option>
+                ))}
+              </optgroup>
+            )}
+            <optgroup label="Forecast models">
+              {listForecastModels().map(model => (
+                <option key={model.id} value={`forecast:${model.id}`}>{model.label}</option>
+              ))}
+            </optgroup>
+          </select>
+        </div>
+        <label className={`${textClass} flex items-center gap-2 pb-2`}>
+          <input type="checkbox" checked={afterTax} onChange={(e) => setAfterTax(e.target.checked)} className="h-4 w-4" />
+          Target is after tax
+        </label>
+      </div>
+
+      {!result ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          Enter a target above zero. The plan also needs a current price and a dividend assumption above zero.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className={statCard}>
+              <h3 className={statLabel}>Investment Needed</h3>
+              <p className={statText}>{formatMoney(result.investmentNeeded)}</p>
+              <p className={`${mutedClass} mt-1`}>At ${assumption.price.toFixed(2)} per share</p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Shares Needed</h3>
+              <p className={statText}>{result.sharesNeeded.toFixed(2)}</p>
+              <p className={`${mutedClass} mt-1`}>
+                {assumption.label}: ${assumption.dividend.toFixed(4)} per share monthly
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Gross Monthly Income</h3>
+              <p className={statText}>{formatMoney(result.monthlyGross)}</p>
+              {afterTax && (
+                <p className={`${mutedClass} mt-1`}>{formatMoney(result.monthlyAfterTax)} after tax</p>
+              )}
+            </div>
+          </div>
+
+          {sensitivity.length > 0 && (
+            <>
+              <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-2" : "text-lg font-bold text-gray-800 mb-2"}>
+                Across the Distribution History
+              </h3>
+              <div className="overflow-x-auto">
+                <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+                  <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                    <tr>
+                      <th className={`${th} text-left`}>If distributions match the</th>
+                      <th className={`${th} text-right`}>Per Share</th>
+                      <th className={`${th} text-right`}>Shares Needed</th>
+                      <th className={`${th} text-right`}>Investment Needed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sensitivity.map(level => (
+                      <tr key={level.id}>
+                        <td className={td}>{level.label}</td>
+                        <td className={`${td} text-right`}>${level.dividend.toFixed(4)}</td>
+                        <td className={`${td} text-right`}>{level.result ? level.result.sharesNeeded.toFixed(2) : '-'}</td>
+                        <td className={`${td} text-right`}>{level.result ? formatMoney(level.result.investmentNeeded) : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className={`${mutedClass} mt-2 italic`}>
+            Note: Assumes the dividend stays at the chosen level every month and shares are bought at the price shown.
+            {afterTax && ' After-tax figures use the federal, state and return of capital settings from the calculator.'}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IncomeGoalPlanner;
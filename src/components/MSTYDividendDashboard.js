@@ -1,16 +1,109 @@
 import React, { useState, useEffect } from 'react';
 import { 
   LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, 
-  Tooltip, Legend, ResponsiveContainer, ReferenceLine 
+  Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea 
 } from 'recharts';
 import { 
   fetchRealTimePrice, 
   fetchDividendHistory,
+  fetchPriceHistory,
   calculateAnnualizedYield,
   checkForNewDividendData,
-  forceUpdateCurrentMonth
+  forceUpdateCurrentMonth,
+  formatDataAge
 } from '../services/financeService';
+import { projectDividendReinvestment, summarizeDripProjection } from '../services/dripService';
+import { DEFAULT_FUND_SYMBOL, getFund, listFunds } from '../services/fundConfig';
+import {
+  loadTransactions,
+  saveTransactions,
+  validateTransaction,
+  calculateDividendsReceived,
+  summarizeHoldings
+} from '../services/holdingsService';
+import {
+  loadTaxSettings,
+  saveTaxSettings,
+  calculateAfterTax,
+  afterTaxForRecord
+} from '../services/taxService';
+import {
+  DEFAULT_FORECAST_MODEL,
+  forecastDividend,
+  getNextForecastPeriod,
+  listForecastModels
+} from '../services/forecastService';
+import { getCacheInfo, isOffline } from '../services/cacheService';
+import {
+  loadImportedDividends,
+  saveImportedDividends,
+  clearImportedDividends
+} from '../services/importService';
+import { buildExportDatasets } from '../services/exportService';
+import {
+  RECORD_SOURCES,
+  auditDividendHistory,
+  getRecordKey,
+  getValidationIssues,
+  sortDividendRecords
+} from '../services/dividendValidationService';
+import { LIFECYCLE_STATUSES, reconcileDividendHistory } from '../services/dividendLifecycleService';
+import {
+  DRIP_MONTH_OPTIONS,
+  buildShareUrl,
+  decodeCalculatorState,
+  encodeCalculatorState,
+  isSnapshotView,
+  replaceUrlQuery
+} from '../services/urlStateService';
+import {
+  calculateAverageDistribution,
+  getTrailingDistributions,
+  TRAILING_WINDOW_DAYS,
+  withExDateYields
+} from '../services/yieldMetricsService';
+import {
+  loadScenarios,
+  saveScenarios,
+  createScenario,
+  getFundScenarios,
+  validateScenario,
+  getCopyName
+} from '../services/scenarioService';
+import {
+  loadAlertRules,
+  saveAlertRules,
+  loadAlertState,
+  saveAlertState,
+  validateAlertRule,
+  evaluateAlertRules,
+  getNotificationPermission,
+  requestNotificationPermission,
+  sendNotification
+} from '../services/alertService';
+import { hasConfiguredApiKey, getProviderLabel, ERROR_KIND_LABELS } from '../services/priceProviders';
 import TradingViewWidget from './TradingViewWidget';
+import DripProjection from './DripProjection';
+import HoldingsLedger from './HoldingsLedger';
+import TaxSettingsPanel from './TaxSettingsPanel';
+import TotalReturnAnalysis from './TotalReturnAnalysis';
+import DividendImport from './DividendImport';
+import DataExport from './DataExport';
+import DistributionCalendar from './DistributionCalendar';
+import AlertRules from './AlertRules';
+import ScenarioLibrary from './ScenarioLibrary';
+import MonteCarloSimulation from './MonteCarloSimulation';
+import IncomeGoalPlanner from './IncomeGoalPlanner';
+import BreakEvenAnalysis from './BreakEvenAnalysis';
+import BacktestAnalysis from './BacktestAnalysis';
+import PriceHistoryChart from './PriceHistoryChart';
+import ExDividendDropAnalysis from './ExDividendDropAnalysis';
+import YieldMetrics from './YieldMetrics';
+import DataQualityPanel from './DataQualityPanel';
+import TimeTravelSimulation from './TimeTravelSimulation';
+
+// Yield as a percentage, or n/a when it is not known (no price at the ex-date)
+const formatYield = (value) => (typeof value === 'number' ? `${value.toFixed(2)}%` : 'n/a');
 
 const MSTYDividendDashboard = () => {
   // State for price, dividend data, and loading status
@@ -22,58 +115,142 @@ const MSTYDividendDashboard = () => {
     timestamp: ''
   });
   const [dividendHistory, setDividendHistory] = useState([]);
-  const [averageMonthlyDividend, setAverageMonthlyDividend] = useState(0);
+  const [priceHistory, setPriceHistory] = useState([]);
+  // Average confirmed distribution, per payment and as a monthly amount (see calculateAverageDistribution)
+  const [dividendAverage, setDividendAverage] = useState({ value: 0, monthly: 0, perYear: 12, count: 0, basis: 'none' });
+  const monthlyDividendPerShare = dividendAverage.monthly;
   const [annualYield, setAnnualYield] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState('');
+  const [dataFreshness, setDataFreshness] = useState({});
+  const [offline, setOffline] = useState(isOffline);
   const [refreshCounter, setRefreshCounter] = useState(0);
   const [darkMode, setDarkMode] = useState(false);
   const [autoUpdateEnabled, setAutoUpdateEnabled] = useState(true);
 
+  // Calculator inputs restored from the URL, and whether it is a read-only snapshot link
+  const [urlState] = useState(
+    () => decodeCalculatorState(window.location.search, listFunds().map(item => item.symbol))
+  );
+  const [snapshotView] = useState(() => isSnapshotView(window.location.search));
+  const [shareLink, setShareLink] = useState(null);
+
+  const [selectedSymbol, setSelectedSymbol] = useState(
+    () => urlState.symbol || localStorage.getItem('mstySelectedFund') || DEFAULT_FUND_SYMBOL
+  );
+  const fund = getFund(selectedSymbol);
+  const [forecastModel, setForecastModel] = useState(
+    () => localStorage.getItem('mstyForecastModel') || DEFAULT_FORECAST_MODEL
+  );
+
   // State for user input
-  const [investmentAmount, setInvestmentAmount] = useState(10000);
-  const [customDividendAmount, setCustomDividendAmount] = useState('');
-  const [useCustomDividend, setUseCustomDividend] = useState(false);
-  const [scenarioName, setScenarioName] = useState('');
+  const [investmentAmount, setInvestmentAmount] = useState(urlState.investmentAmount || 10000);
+  // Purchase price per share; empty uses the current price
+  const [sharePrice, setSharePrice] = useState(urlState.sharePrice || '');
+  const [customDividendAmount, setCustomDividendAmount] = useState(urlState.customDividendAmount || '');
+  const [useCustomDividend, setUseCustomDividend] = useState(urlState.useCustomDividend || false);
+  const [scenarioName, setScenarioName] = useState(urlState.scenarioName || '');
   const [calculatedResults, setCalculatedResults] = useState(null);
+  const [savedScenarios, setSavedScenarios] = useState(loadScenarios);
+
+  // State for dividend reinvestment (DRIP) projection
+  const [dripEnabled, setDripEnabled] = useState(urlState.dripEnabled || false);
+  const [dripMonths, setDripMonths] = useState(urlState.dripMonths || 24);
+  const [monthlyPriceChange, setMonthlyPriceChange] = useState(urlState.monthlyPriceChange || '0');
+
+  // State for the holdings ledger (buy lots and sells) of the selected fund
+  const [transactions, setTransactions] = useState(() => loadTransactions(selectedSymbol));
+
+  // State for after-tax income estimates
+  const [taxSettings, setTaxSettings] = useState(loadTaxSettings);
+
+  // State for alert rules and the alerts triggered during this visit
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+  const [recentAlerts, setRecentAlerts] = useState([]);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+
+  // State for validation issues found in the dividend records
+  const [dataQualityIssues, setDataQualityIssues] = useState([]);
+
+  // History row ("year-month") whose lineage is expanded
+  const [expandedLineage, setExpandedLineage] = useState(null);
   
-  // Function to load all data
-  const loadData = async () => {
+  // Function to load all data for the given fund (defaults to the selected one)
+  // Cached data younger than its TTL is reused unless forceRefresh is set
+  const loadData = async (symbol = selectedSymbol, forceRefresh = false) => {
     setLoading(true);
     setError(null);
     
     try {
       // Fetch real-time price data
-      const price = await fetchRealTimePrice();
+      const price = await fetchRealTimePrice(symbol, { forceRefresh });
       setPriceData(price);
       
       // Fetch dividend history
-      let dividends = await fetchDividendHistory();
+      let dividends = await fetchDividendHistory(symbol, { forceRefresh });
       
       // Check for new dividend data if auto-update is enabled
       if (autoUpdateEnabled) {
-        dividends = await checkForNewDividendData(dividends, price.currentPrice);
+        dividends = await checkForNewDividendData(dividends, price.currentPrice, forecastModel, symbol);
       }
       
       // Sort by date (newest first)
-      dividends.sort((a, b) => {
-        const dateA = new Date(b.year, getMonthNumber(b.month));
-        const dateB = new Date(a.year, getMonthNumber(a.month));
-        return dateA - dateB;
-      });
+      sortDividendRecords(dividends);
+      
+      // Let confirmed data supersede stored estimates and attach each record's lineage
+      dividends = reconcileDividendHistory(symbol, dividends);
       
       setDividendHistory(dividends);
+      setDataQualityIssues([...getValidationIssues(symbol), ...auditDividendHistory(dividends)]);
       
-      // Calculate average monthly dividend
-      const totalDividends = dividends.reduce((sum, item) => sum + item.dividend, 0);
-      const avgDividend = totalDividends / dividends.length;
-      setAverageMonthlyDividend(avgDividend);
+      // Fetch daily price history covering the oldest distribution (or the last year)
+      const historyStart = new Date();
+      historyStart.setFullYear(historyStart.getFullYear() - 1);
+      const oldestExDate = dividends
+        .map(div => div.exDate)
+        .filter(Boolean)
+        .sort()[0];
+      if (oldestExDate && new Date(oldestExDate) < historyStart) {
+        historyStart.setTime(new Date(oldestExDate).getTime());
+      }
+      historyStart.setDate(historyStart.getDate() - 7);
+      const prices = await fetchPriceHistory(symbol, historyStart.toISOString().split('T')[0], undefined, { forceRefresh });
+      setPriceHistory(prices);
       
-      // Calculate annualized yield
+      // Record when each resource was actually fetched (cache entries keep the original time)
+      setDataFreshness({
+        quote: price.fetchedAt ? { fetchedAt: price.fetchedAt, fromCache: price.fromCache } : null,
+        dividends: getCacheInfo('dividends', symbol),
+        priceHistory: getCacheInfo('priceHistory', symbol)
+      });
+      
+      // Average confirmed distribution over the last 365 days (or all of them when none are that recent)
+      setDividendAverage(calculateAverageDistribution(dividends));
+      
+      // Trailing-twelve-month yield by ex-date
       const yield12Month = calculateAnnualizedYield(dividends, price.currentPrice);
       setAnnualYield(yield12Month);
       
+      // Evaluate alert rules (read from storage, so interval refreshes see the latest rules)
+      // A stale price is left out so it cannot trigger price or yield crossings
+      const { triggered, state: alertState } = evaluateAlertRules(
+        loadAlertRules(),
+        {
+          symbol,
+          currentPrice: price.stale ? 0 : price.currentPrice,
+          annualYield: price.stale ? 0 : yield12Month,
+          dividendHistory: dividends
+        },
+        loadAlertState()
+      );
+      saveAlertState(alertState);
+      if (triggered.length > 0) {
+        triggered.forEach(alert => sendNotification(alert.title, alert.body));
+        const time = new Date().toLocaleString();
+        setRecentAlerts(prev => [...triggered.map(alert => ({ ...alert, time })), ...prev].slice(0, 10));
+      }
+      
       // Update last updated timestamp
       setLastUpdated(new Date().toLocaleString());
       
@@ -91,21 +268,17 @@ const MSTYDividendDashboard = () => {
     
     setLoading(true);
     try {
-      const updatedDividends = forceUpdateCurrentMonth(dividendHistory, priceData.currentPrice);
+      const estimated = forceUpdateCurrentMonth(dividendHistory, priceData.currentPrice, forecastModel, selectedSymbol);
       
-      // Sort by date (newest first)
-      updatedDividends.sort((a, b) => {
-        const dateA = new Date(b.year, getMonthNumber(b.month));
-        const dateB = new Date(a.year, getMonthNumber(a.month));
-        return dateA - dateB;
-      });
+      // Sort by date (newest first); only an estimate for the current month is replaced
+      sortDividendRecords(estimated);
+      const updatedDividends = reconcileDividendHistory(selectedSymbol, estimated);
       
       setDividendHistory(updatedDividends);
+      setDataQualityIssues([...getValidationIssues(selectedSymbol), ...auditDividendHistory(updatedDividends)]);
       
       // Recalculate averages
-      const totalDividends = updatedDividends.reduce((sum, item) => sum + item.dividend, 0);
-      const avgDividend = totalDividends / updatedDividends.length;
-      setAverageMonthlyDividend(avgDividend);
+      setDividendAverage(calculateAverageDistribution(updatedDividends));
       
       const yield12Month = calculateAnnualizedYield(updatedDividends, priceData.currentPrice);
       setAnnualYield(yield12Month);
@@ -118,15 +291,6 @@ const MSTYDividendDashboard = () => {
       setLoading(false);
     }
   };
-  
-  // Helper function to convert month name to number
-  const getMonthNumber = (monthName) => {
-    const months = {
-      'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5,
-      'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11
-    };
-    return months[monthName] || 0;
-  };
 
   // Initial data load
   useEffect(() => {
@@ -153,7 +317,20 @@ const MSTYDividendDashboard = () => {
       setAutoUpdateEnabled(savedAutoUpdate === 'true');
     }
     
-    return () => clearInterval(refreshInterval);
+    // Track connectivity so cached data is labeled and reloaded when back online
+    const handleOnline = () => {
+      setOffline(false);
+      setRefreshCounter(prev => prev + 1);
+    };
+    const handleOffline = () => setOffline(true);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    
+    return () => {
+      clearInterval(refreshInterval);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
   }, []);
   
   // Refresh data when refresh counter changes
@@ -178,18 +355,54 @@ const MSTYDividendDashboard = () => {
     localStorage.setItem('mstyAutoUpdate', autoUpdateEnabled);
   }, [autoUpdateEnabled]);
 
+  // Save forecast model preference
+  useEffect(() => {
+    localStorage.setItem('mstyForecastModel', forecastModel);
+  }, [forecastModel]);
+
+  // Save selected fund and load its holdings ledger
+  // A snapshot link shows someone else's fund, so it does not change the saved preference
+  useEffect(() => {
+    if (!snapshotView) {
+      localStorage.setItem('mstySelectedFund', selectedSymbol);
+    }
+    setTransactions(loadTransactions(selectedSymbol));
+  }, [selectedSymbol, snapshotView]);
+
+  // Calculator inputs as encoded in the URL
+  const calculatorUrlState = {
+    symbol: selectedSymbol,
+    investmentAmount,
+    sharePrice,
+    useCustomDividend,
+    customDividendAmount,
+    scenarioName,
+    dripEnabled,
+    dripMonths,
+    monthlyPriceChange
+  };
+  const calculatorQuery = encodeCalculatorState(calculatorUrlState, { snapshot: snapshotView });
+
+  // Keep the URL in step with the calculator so the current view can be bookmarked or shared
+  useEffect(() => {
+    replaceUrlQuery(calculatorQuery);
+  }, [calculatorQuery]);
+
+  // Price the calculator buys at: the share price assumption, or the current price
+  const purchasePrice = parseFloat(sharePrice) > 0 ? parseFloat(sharePrice) : priceData.currentPrice;
+
   // Function to calculate returns
   const calculateReturns = (amount) => {
     if (!priceData.currentPrice || priceData.currentPrice === 0) {
       return null;
     }
     
-    const sharesOwned = amount / priceData.currentPrice;
+    const sharesOwned = amount / purchasePrice;
     
     // Determine which dividend amount to use based on user selection
     const effectiveDividendAmount = useCustomDividend && customDividendAmount 
       ? parseFloat(customDividendAmount) 
-      : averageMonthlyDividend;
+      : monthlyDividendPerShare;
     
     // Expected monthly dividend based on selected amount
     const expectedMonthlyDividend = effectiveDividendAmount * sharesOwned;
@@ -198,21 +411,26 @@ const MSTYDividendDashboard = () => {
     const expectedAnnualDividend = expectedMonthlyDividend * 12;
     
     // Calculate annualized yield based on custom or average dividend
-    const effectiveAnnualYield = (effectiveDividendAmount * 12 / priceData.currentPrice) * 100;
+    const effectiveAnnualYield = (effectiveDividendAmount * 12 / purchasePrice) * 100;
     
     // Calculate historical returns if invested one year ago
-    // Use up to 12 most recent months
-    const lastYearDividends = dividendHistory.slice(0, Math.min(12, dividendHistory.length));
+    // Confirmed distributions with an ex-date in the last 365 days
+    const lastYearDividends = getTrailingDistributions(dividendHistory).records;
     const historicalDividendTotal = lastYearDividends.reduce((sum, item) => sum + item.dividend, 0);
     const historicalReturn = historicalDividendTotal * sharesOwned;
     
+    // After-tax income (return of capital is untaxed, the rest is ordinary income)
+    const monthlyTax = calculateAfterTax(expectedMonthlyDividend, taxSettings);
+    const expectedMonthlyAfterTax = monthlyTax.afterTax;
+    const expectedAnnualAfterTax = expectedMonthlyAfterTax * 12;
+    
     // Calculate historical monthly returns
     const monthlyReturns = dividendHistory.map(item => ({
       label: `${item.month} ${item.year}`,
       dividend: item.dividend,
       return: (item.dividend * sharesOwned).toFixed(2),
-      estimated: item.estimated || false,
-      announced: item.announced || false
+      afterTaxReturn: afterTaxForRecord(item.dividend * sharesOwned, item, taxSettings).toFixed(2),
+      status: item.status
     }));
     
     // For scenarios with custom dividend, create projected returns for next 12 months
@@ -226,19 +444,40 @@ const MSTYDividendDashboard = () => {
           label: `${futureDate.toLocaleString('default', { month: 'short' })} ${futureDate.getFullYear()}`,
           dividend: parseFloat(customDividendAmount),
           return: (parseFloat(customDividendAmount) * sharesOwned).toFixed(2),
+          afterTaxReturn: calculateAfterTax(parseFloat(customDividendAmount) * sharesOwned, taxSettings).afterTax.toFixed(2),
           isProjected: true
         });
       }
     }
     
+    // Project month by month with distributions reinvested
+    let dripProjection = [];
+    let dripSummary = null;
+    if (dripEnabled) {
+      dripProjection = projectDividendReinvestment({
+        initialShares: sharesOwned,
+        startPrice: purchasePrice,
+        monthlyDividend: effectiveDividendAmount,
+        months: dripMonths,
+        monthlyPriceChange: parseFloat(monthlyPriceChange) || 0
+      });
+      dripSummary = summarizeDripProjection(dripProjection);
+    }
+    
     return {
       sharesOwned: sharesOwned.toFixed(2),
       expectedMonthlyDividend: expectedMonthlyDividend.toFixed(2),
       expectedAnnualDividend: expectedAnnualDividend.toFixed(2),
+      expectedMonthlyAfterTax: expectedMonthlyAfterTax.toFixed(2),
+      expectedAnnualAfterTax: expectedAnnualAfterTax.toFixed(2),
+      monthlyReturnOfCapital: monthlyTax.returnOfCapital.toFixed(2),
       expectedAnnualYieldPercentage: effectiveAnnualYield.toFixed(2),
       historicalReturn: historicalReturn.toFixed(2),
+      sharePrice: purchasePrice.toFixed(2),
       monthlyReturns,
       projectedReturns,
+      dripProjection,
+      dripSummary,
       isCustomScenario: useCustomDividend && customDividendAmount ? true : false,
       scenarioName: scenarioName || (useCustomDividend ? 'Custom Scenario' : 'Historical Average')
     };
@@ -249,7 +488,7 @@ const MSTYDividendDashboard = () => {
     if (!loading && !error) {
       setCalculatedResults(calculateReturns(investmentAmount));
     }
-  }, [investmentAmount, priceData, dividendHistory, averageMonthlyDividend, annualYield, loading, error, useCustomDividend, customDividendAmount, scenarioName]);
+  }, [investmentAmount, sharePrice, priceData, dividendHistory, monthlyDividendPerShare, annualYield, loading, error, useCustomDividend, customDividendAmount, scenarioName, dripEnabled, dripMonths, monthlyPriceChange, taxSettings]);
 
   // Handle input change
   const handleAmountChange = (e) => {
@@ -259,6 +498,14 @@ const MSTYDividendDashboard = () => {
     }
   };
 
+  // Handle share price assumption change (empty uses the current price)
+  const handleSharePriceChange = (e) => {
+    const value = e.target.value;
+    if (value === '' || (!isNaN(parseFloat(value)) && parseFloat(value) >= 0)) {
+      setSharePrice(value);
+    }
+  };
+
   // Handle custom dividend amount change
   const handleCustomDividendChange = (e) => {
     const value = e.target.value;
@@ -277,6 +524,100 @@ const MSTYDividendDashboard = () => {
     setScenarioName(e.target.value);
   };
 
+  // Handle assumed monthly price change for the DRIP projection
+  const handleMonthlyPriceChange = (e) => {
+    const value = e.target.value;
+    if (value === '' || value === '-' || !isNaN(parseFloat(value))) {
+      setMonthlyPriceChange(value);
+    }
+  };
+
+  // Switch to another fund and reload its data
+  const handleFundChange = (e) => {
+    const symbol = e.target.value;
+    setSelectedSymbol(symbol);
+    // A share price assumption only makes sense for the fund it was entered for
+    setSharePrice('');
+    loadData(symbol);
+  };
+
+  // Add a buy or sell to the holdings ledger
+  // Returns an error message when the transaction is rejected
+  const handleAddTransaction = (transaction) => {
+    const validationError = validateTransaction(transactions, transaction);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const updated = [
+      ...transactions,
+      { ...transaction, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }
+    ];
+    setTransactions(updated);
+    saveTransactions(selectedSymbol, updated);
+    return null;
+  };
+
+  // Store imported distributions and reload so they merge into the history
+  const handleImportDividends = (records) => {
+    saveImportedDividends(selectedSymbol, records);
+    loadData(selectedSymbol);
+  };
+
+  // Remove all imported distributions for the selected fund
+  const handleClearImportedDividends = () => {
+    clearImportedDividends(selectedSymbol);
+    loadData(selectedSymbol);
+  };
+
+  // Add an alert rule for the selected fund
+  const handleAddAlertRule = (rule) => {
+    const validationError = validateAlertRule(rule);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const updated = [
+      ...alertRules,
+      { ...rule, symbol: selectedSymbol, enabled: true, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}` }
+    ];
+    setAlertRules(updated);
+    saveAlertRules(updated);
+    return null;
+  };
+
+  // Enable or disable an alert rule
+  const handleToggleAlertRule = (id) => {
+    const updated = alertRules.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule));
+    setAlertRules(updated);
+    saveAlertRules(updated);
+  };
+
+  // Remove an alert rule
+  const handleDeleteAlertRule = (id) => {
+    const updated = alertRules.filter(rule => rule.id !== id);
+    setAlertRules(updated);
+    saveAlertRules(updated);
+  };
+
+  // Ask for notification permission (must follow a user action)
+  const handleRequestNotificationPermission = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  // Update and persist tax settings
+  const handleTaxSettingsChange = (settings) => {
+    setTaxSettings(settings);
+    saveTaxSettings(settings);
+  };
+
+  // Remove a transaction from the holdings ledger
+  const handleDeleteTransaction = (id) => {
+    const updated = transactions.filter(txn => txn.id !== id);
+    setTransactions(updated);
+    saveTransactions(selectedSymbol, updated);
+  };
+
   // Toggle dark mode
   const toggleDarkMode = () => {
     setDarkMode(!darkMode);
@@ -292,28 +633,30 @@ const MSTYDividendDashboard = () => {
     switch(type) {
       case 'bullish':
         // Bullish scenario - 50% higher than average
-        const bullishAmount = (averageMonthlyDividend * 1.5).toFixed(4);
+        const bullishAmount = (monthlyDividendPerShare * 1.5).toFixed(4);
         setCustomDividendAmount(bullishAmount);
         setScenarioName('Bullish Scenario (+50%)');
         setUseCustomDividend(true);
         break;
       case 'bearish':
         // Bearish scenario - 50% lower than average
-        const bearishAmount = (averageMonthlyDividend * 0.5).toFixed(4);
+        const bearishAmount = (monthlyDividendPerShare * 0.5).toFixed(4);
         setCustomDividendAmount(bearishAmount);
         setScenarioName('Bearish Scenario (-50%)');
         setUseCustomDividend(true);
         break;
       case 'highest':
-        // Use highest historical dividend
-        const highestDividend = Math.max(...dividendHistory.map(item => item.dividend));
+        if (dividendHistory.length === 0) break;
+        // Use highest historical dividend, as a monthly amount for funds not paying monthly
+        const highestDividend = Math.max(...dividendHistory.map(item => item.dividend)) * dividendAverage.perYear / 12;
         setCustomDividendAmount(highestDividend.toFixed(4));
         setScenarioName('Peak Performance');
         setUseCustomDividend(true);
         break;
       case 'lowest':
-        // Use lowest historical dividend
-        const lowestDividend = Math.min(...dividendHistory.map(item => item.dividend));
+        if (dividendHistory.length === 0) break;
+        // Use lowest historical dividend, as a monthly amount for funds not paying monthly
+        const lowestDividend = Math.min(...dividendHistory.map(item => item.dividend)) * dividendAverage.perYear / 12;
         setCustomDividendAmount(lowestDividend.toFixed(4));
         setScenarioName('Minimum Performance');
         setUseCustomDividend(true);
@@ -329,6 +672,89 @@ const MSTYDividendDashboard = () => {
     }
   };
 
+  // Save the calculator's current inputs as a named scenario
+  const handleSaveScenario = (name) => {
+    const fields = {
+      symbol: selectedSymbol,
+      name,
+      investmentAmount,
+      useCustomDividend: useCustomDividend && customDividendAmount !== '',
+      customDividendAmount,
+      sharePrice,
+      monthlyPriceChange,
+      dripEnabled,
+      dripMonths
+    };
+    const validationError = validateScenario(fields);
+    if (validationError) {
+      return validationError;
+    }
+    
+    const updated = [...savedScenarios, createScenario(fields)];
+    setSavedScenarios(updated);
+    saveScenarios(updated);
+    return null;
+  };
+
+  // Apply a saved scenario to the calculator
+  const handleLoadScenario = (scenario) => {
+    setInvestmentAmount(scenario.investmentAmount);
+    setSharePrice(scenario.sharePrice || '');
+    setUseCustomDividend(scenario.useCustomDividend);
+    setCustomDividendAmount(scenario.customDividendAmount);
+    setScenarioName(scenario.name);
+    setMonthlyPriceChange(scenario.monthlyPriceChange);
+    setDripEnabled(Boolean(scenario.dripEnabled));
+    if (DRIP_MONTH_OPTIONS.includes(scenario.dripMonths)) {
+      setDripMonths(scenario.dripMonths);
+    }
+  };
+
+  // Rename a saved scenario
+  const handleRenameScenario = (id, name) => {
+    if (!name || !name.trim()) {
+      return 'Scenario name is required';
+    }
+    const updated = savedScenarios.map(scenario => (scenario.id === id ? { ...scenario, name: name.trim() } : scenario));
+    setSavedScenarios(updated);
+    saveScenarios(updated);
+    return null;
+  };
+
+  // Copy a saved scenario under a new name
+  const handleDuplicateScenario = (id) => {
+    const original = savedScenarios.find(scenario => scenario.id === id);
+    if (!original) return;
+    
+    const copy = createScenario({ ...original, name: getCopyName(original.name, savedScenarios) });
+    const updated = [...savedScenarios, copy];
+    setSavedScenarios(updated);
+    saveScenarios(updated);
+  };
+
+  // Remove a saved scenario
+  const handleDeleteScenario = (id) => {
+    const updated = savedScenarios.filter(scenario => scenario.id !== id);
+    setSavedScenarios(updated);
+    saveScenarios(updated);
+  };
+
+  // Saved scenarios for the selected fund
+  const fundScenarios = getFundScenarios(savedScenarios, selectedSymbol);
+
+  // Copy a read-only snapshot link of the calculator
+  // The link is still shown when the clipboard is unavailable so it can be copied by hand
+  const handleCopySnapshotLink = async () => {
+    const url = buildShareUrl(calculatorUrlState, { snapshot: true });
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareLink({ url, copied: true });
+    } catch (err) {
+      console.error('Error copying share link:', err);
+      setShareLink({ url, copied: false });
+    }
+  };
+
   // Function to handle preset amount buttons
   const handlePresetAmount = (amount) => {
     setInvestmentAmount(amount);
@@ -336,15 +762,41 @@ const MSTYDividendDashboard = () => {
   
   // Handle manual refresh
   const handleRefresh = () => {
-    loadData();
+    loadData(selectedSymbol, true);
   };
 
+  // Describe when a resource was fetched for the freshness labels
+  const describeFreshness = (info, fallbackText) => {
+    if (!info || !info.fetchedAt) return fallbackText;
+    return `${new Date(info.fetchedAt).toLocaleString()} (${formatDataAge(info.fetchedAt)} ago)`;
+  };
+
+  // Match the holdings ledger against each distribution's ex-date
+  const dividendsReceived = calculateDividendsReceived(transactions, dividendHistory);
+  const holdingsSummary = summarizeHoldings(transactions, dividendsReceived, priceData.currentPrice);
+
+  // Forecast the next distribution with the selected model
+  const nextPeriod = getNextForecastPeriod(dividendHistory);
+  const dividendForecast = forecastDividend(dividendHistory, forecastModel, nextPeriod);
+
+  // Yield of each distribution at its ex-date close (reported yield where no price is loaded)
+  const pricedHistory = withExDateYields(dividendHistory, priceHistory);
+
   // Format chart data
-  const chartData = dividendHistory.map(item => ({
+  const chartData = pricedHistory.map(item => ({
     ...item,
-    label: `${item.month} ${item.year}`
+    label: `${item.month} ${item.year}`,
+    afterTaxDividend: afterTaxForRecord(item.dividend, item, taxSettings)
   }));
 
+  // Colour for a lifecycle status in the history table
+  const getStatusClass = (status) => {
+    if (status === 'projected') return "text-yellow-500";
+    if (status === 'announced') return "text-blue-500";
+    if (status === 'revised') return "text-orange-500";
+    return darkMode ? "text-gray-300" : "text-gray-600";
+  };
+
   // Custom tooltip for dividend charts
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -356,16 +808,23 @@ const MSTYDividendDashboard = () => {
             <span className="font-medium">Dividend: </span>
             ${data.dividend.toFixed(4)}
           </p>
+          {taxSettings.enabled && (
+            <p className="text-sm">
+              <span className="font-medium">After Tax: </span>
+              ${data.afterTaxDividend.toFixed(4)}
+            </p>
+          )}
           <p className="text-sm">
             <span className="font-medium">Yield: </span>
-            {data.yield.toFixed(2)}%
+            {formatYield(data.yield)}
+            {data.yieldSource === 'reported' && data.yield !== null && <span className="text-xs ml-1">(reported)</span>}
           </p>
-          {data.estimated && (
+          {data.status === 'projected' && (
             <p className="text-xs text-yellow-500 mt-1">
-              📊 Estimated
+              📊 Projected
             </p>
           )}
-          {data.announced && (
+          {data.status === 'announced' && (
             <p className="text-xs text-blue-500 mt-1">
               🎉 Recently Announced
             </p>
@@ -479,8 +938,28 @@ const MSTYDividendDashboard = () => {
   return (
     <div className={getThemeClasses.container}>
       <div className="mb-6 text-center relative">
-        <h1 className={getThemeClasses.title}>MSTY Dividend Calculator Dashboard</h1>
-        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>Calculate expected returns from MSTY based on real-time data</p>
+        <h1 className={getThemeClasses.title}>{fund.symbol} Dividend Calculator Dashboard</h1>
+        <p className={darkMode ? "text-gray-400" : "text-gray-600"}>Calculate expected returns from {fund.symbol} based on real-time data</p>
+        
+        {/* Fund selector */}
+        <div className="mt-3 flex justify-center items-center space-x-2">
+          <label htmlFor="fundSelector" className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>
+            Fund
+          </label>
+          <select
+            id="fundSelector"
+            value={selectedSymbol}
+            onChange={handleFundChange}
+            disabled={loading || snapshotView}
+            className={darkMode ? "border border-gray-600 bg-gray-700 rounded-md px-2 py-1 text-sm text-white" : "border border-gray-300 rounded-md px-2 py-1 text-sm"}
+          >
+            {listFunds().map(item => (
+              <option key={item.symbol} value={item.symbol}>
+                {item.symbol} - {item.name}
+              </option>
+            ))}
+          </select>
+        </div>
         
         {/* Dark Mode Toggle */}
         <button 
@@ -537,6 +1016,13 @@ const MSTYDividendDashboard = () => {
           </div>
         </div>
         
+        {/* Fetch time of each data set */}
+        <div className={darkMode ? "mt-2 text-xs text-gray-500" : "mt-2 text-xs text-gray-400"}>
+          Quote: {describeFreshness(dataFreshness.quote, 'not available')}
+          {' · '}Dividends: {describeFreshness(dataFreshness.dividends, 'bundled data')}
+          {' · '}Price history: {describeFreshness(dataFreshness.priceHistory, 'not available')}
+        </div>
+        
         {/* Auto-update toggle */}
         <div className="mt-2 flex justify-center items-center space-x-2">
           <input
@@ -553,10 +1039,37 @@ const MSTYDividendDashboard = () => {
       </div>
       
       {/* Environment variable check notice */}
-      {!process.env.REACT_APP_FINANCE_API_KEY && (
+      {!hasConfiguredApiKey() && (
         <div className={getThemeClasses.warningBanner}>
           <p className="font-bold">API Key Not Found</p>
-          <p>Finnhub API key environment variable (REACT_APP_FINANCE_API_KEY) is not configured. The dashboard will use fallback data.</p>
+          <p>No price API key is configured (REACT_APP_FINANCE_API_KEY, REACT_APP_FINNHUB_API_KEY, REACT_APP_ALPHAVANTAGE_API_KEY or REACT_APP_POLYGON_API_KEY). Prices will be unavailable until a key is configured; distribution history comes from the cache, bundled data or imported files.</p>
+        </div>
+      )}
+      
+      {/* Offline notice */}
+      {offline && (
+        <div className={getThemeClasses.warningBanner}>
+          <p className="font-bold">Offline</p>
+          <p>You are offline. The dashboard is showing cached data; fetch times are listed under the header. Data will refresh when the connection returns.</p>
+        </div>
+      )}
+      
+      {/* Stale price notice when every provider failed */}
+      {!loading && priceData.stale && priceData.failure && (
+        <div className={getThemeClasses.errorBanner}>
+          <p className="font-bold">Price Data Is Stale</p>
+          <p>
+            Live price could not be loaded ({ERROR_KIND_LABELS[priceData.failure.kind] || priceData.failure.kind}: {priceData.failure.message}).
+            {priceData.fetchedAt
+              ? ` Showing the last good quote from ${priceData.timestamp} (${formatDataAge(priceData.fetchedAt)} old). Projections are based on this price and are not current.`
+              : ' No earlier quote is available, so projections cannot be calculated.'}
+          </p>
+          <button 
+            onClick={handleRefresh}
+            className={darkMode ? "mt-2 text-red-200 underline hover:no-underline" : "mt-2 text-red-700 underline hover:no-underline"}
+          >
+            Try again
+          </button>
         </div>
       )}
       
@@ -564,7 +1077,19 @@ const MSTYDividendDashboard = () => {
       {autoUpdateEnabled && (
         <div className={getThemeClasses.successBanner}>
           <p className="font-bold">🔄 Auto-Update Enabled</p>
-          <p>The dashboard will automatically check for new MSTY dividends. June 2025 dividend has been added!</p>
+          <p>The dashboard will automatically check for new {fund.symbol} dividends.</p>
+        </div>
+      )}
+      
+      {/* Missing history notice for funds without bundled data */}
+      {!loading && !error && dividendHistory.length === 0 && (
+        <div className={getThemeClasses.warningBanner}>
+          <p className="font-bold">No Dividend History</p>
+          <p>
+            No dividend history is available for {fund.symbol} yet. Distributions are loaded from the price providers'
+            dividend endpoints, so configure an API key (see above) or import a distribution file below. Income
+            projections will show zero until distribution data loads.
+          </p>
         </div>
       )}
       
@@ -595,9 +1120,9 @@ const MSTYDividendDashboard = () => {
         <>
           {/* TradingView Chart Section */}
           <div className={`${getThemeClasses.card} mb-8`}>
-            <h2 className={getThemeClasses.chartTitle}>MSTY Price Chart</h2>
+            <h2 className={getThemeClasses.chartTitle}>{fund.symbol} Price Chart</h2>
             <div className="h-96 mt-4">
-              <TradingViewWidget darkMode={darkMode} />
+              <TradingViewWidget darkMode={darkMode} symbol={fund.tradingViewSymbol} />
             </div>
           </div>
           
@@ -609,27 +1134,41 @@ const MSTYDividendDashboard = () => {
                 <p className={darkMode ? "text-3xl font-bold text-blue-300" : "text-3xl font-bold text-blue-700"}>
                   ${priceData.currentPrice.toFixed(2)}
                 </p>
+                {priceData.stale && (
+                  <span className={darkMode ? "ml-2 text-xs font-semibold text-red-300" : "ml-2 text-xs font-semibold text-red-600"}>STALE</span>
+                )}
                 <span className={`ml-2 text-sm ${priceData.change >= 0 ? (darkMode ? 'text-green-300' : 'text-green-600') : (darkMode ? 'text-red-300' : 'text-red-600')}`}>
                   {priceData.change >= 0 ? '+' : ''}{priceData.change.toFixed(2)} ({priceData.percentChange.toFixed(2)}%)
                 </span>
               </div>
-              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>As of {priceData.timestamp}</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                {priceData.fetchedAt ? `As of ${priceData.timestamp}` : 'No quote available'}
+                {priceData.provider && ` via ${getProviderLabel(priceData.provider)}`}
+                {priceData.stale && priceData.fetchedAt && ` (${formatDataAge(priceData.fetchedAt)} old)`}
+              </p>
             </div>
             
             <div className={`${getThemeClasses.statsCard} border-l-4 border-green-500`}>
               <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>Avg Monthly Dividend</h2>
               <p className={darkMode ? "text-3xl font-bold text-green-300" : "text-3xl font-bold text-green-700"}>
-                ${averageMonthlyDividend.toFixed(4)}
+                ${monthlyDividendPerShare.toFixed(4)}
+              </p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                {dividendAverage.basis === 'ttm' && `Per share, confirmed in the last ${TRAILING_WINDOW_DAYS} days`}
+                {dividendAverage.basis === 'all' &&
+                  `Per share, all ${dividendAverage.count} confirmed (none in the last ${TRAILING_WINDOW_DAYS} days)`}
+                {dividendAverage.basis === 'none' && 'No confirmed distributions'}
+                {dividendAverage.basis !== 'none' && dividendAverage.perYear !== 12 &&
+                  ` · $${dividendAverage.value.toFixed(4)} a payment, ${dividendAverage.perYear} payments a year`}
               </p>
-              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>Per share</p>
             </div>
             
             <div className={`${getThemeClasses.statsCard} border-l-4 border-purple-500`}>
-              <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>Annual Yield</h2>
+              <h2 className={darkMode ? "text-lg font-semibold text-gray-300" : "text-lg font-semibold text-gray-700"}>TTM Yield</h2>
               <p className={darkMode ? "text-3xl font-bold text-purple-300" : "text-3xl font-bold text-purple-700"}>
                 {annualYield.toFixed(2)}%
               </p>
-              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>Based on current price</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>Last 365 days of ex-dates, at current price</p>
             </div>
             
             <div className={`${getThemeClasses.statsCard} border-l-4 border-amber-500`}>
@@ -639,140 +1178,264 @@ const MSTYDividendDashboard = () => {
               </p>
               <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
                 {dividendHistory.length > 0 
-                  ? `${dividendHistory[0].month} ${dividendHistory[0].year} (${dividendHistory[0].yield.toFixed(2)}%)`
+                  ? `${pricedHistory[0].month} ${pricedHistory[0].year} (${formatYield(pricedHistory[0].yield)})`
                   : 'No data available'}
-                {dividendHistory.length > 0 && dividendHistory[0].estimated && (
+                {dividendHistory.length > 0 && dividendHistory[0].status === 'projected' && (
                   <span className="text-yellow-500 ml-1">📊</span>
                 )}
-                {dividendHistory.length > 0 && dividendHistory[0].announced && (
+                {dividendHistory.length > 0 && dividendHistory[0].status === 'announced' && (
                   <span className="text-blue-500 ml-1">🎉</span>
                 )}
               </p>
             </div>
           </div>
           
+          {/* Yield metrics over real date windows, each with its definition */}
+          <YieldMetrics
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            dividendHistory={dividendHistory}
+            currentPrice={priceData.currentPrice}
+          />
+          
           {/* Calculator section */}
           <div className={`mb-8 ${getThemeClasses.card}`}>
             <h2 className={getThemeClasses.subtitle}>Dividend Calculator</h2>
             
-            <div className="mb-6">
-              <label className={darkMode ? "block text-gray-300 font-semibold mb-2" : "block text-gray-700 font-semibold mb-2"}>
-                Investment Amount ($)
-              </label>
-              <input
-                type="number"
-                value={investmentAmount}
-                onChange={handleAmountChange}
-                className={getThemeClasses.input}
-                min="1"
-              />
-              
-              <div className="flex flex-wrap gap-2 mt-3">
-                <button onClick={() => handlePresetAmount(1000)} className={getThemeClasses.button}>$1,000</button>
-                <button onClick={() => handlePresetAmount(5000)} className={getThemeClasses.button}>$5,000</button>
-                <button onClick={() => handlePresetAmount(10000)} className={getThemeClasses.button}>$10,000</button>
-                <button onClick={() => handlePresetAmount(25000)} className={getThemeClasses.button}>$25,000</button>
-                <button onClick={() => handlePresetAmount(50000)} className={getThemeClasses.button}>$50,000</button>
+            {snapshotView && (
+              <div className={darkMode ? "bg-indigo-900 text-indigo-100 p-3 mb-4 rounded-md text-sm" : "bg-blue-50 text-blue-800 p-3 mb-4 rounded-md text-sm"}>
+                This is a read-only snapshot of a shared calculator.{' '}
+                <a href={buildShareUrl(calculatorUrlState)} className="underline font-medium">
+                  Open an editable copy
+                </a>
               </div>
+            )}
+            
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <button onClick={handleCopySnapshotLink} className={getThemeClasses.button}>
+                Copy Snapshot Link
+              </button>
+              {shareLink && shareLink.copied && (
+                <span className={darkMode ? "text-sm text-green-400" : "text-sm text-green-600"}>Link copied</span>
+              )}
+              {shareLink && !shareLink.copied && (
+                <input
+                  type="text"
+                  readOnly
+                  value={shareLink.url}
+                  onFocus={(e) => e.target.select()}
+                  className={getThemeClasses.input}
+                  aria-label="Snapshot link"
+                />
+              )}
             </div>
             
-            {/* Custom dividend scenario section */}
-            <div className={getThemeClasses.scenario}>
-              <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
-                Dividend Scenario Builder
-              </h3>
+            <fieldset disabled={snapshotView} className="min-w-0">
+              <div className="mb-6">
+                <label className={darkMode ? "block text-gray-300 font-semibold mb-2" : "block text-gray-700 font-semibold mb-2"}>
+                  Investment Amount ($)
+                </label>
+                <input
+                  type="number"
+                  value={investmentAmount}
+                  onChange={handleAmountChange}
+                  className={getThemeClasses.input}
+                  min="1"
+                />
+              
+                <div className="flex flex-wrap gap-2 mt-3">
+                  <button onClick={() => handlePresetAmount(1000)} className={getThemeClasses.button}>$1,000</button>
+                  <button onClick={() => handlePresetAmount(5000)} className={getThemeClasses.button}>$5,000</button>
+                  <button onClick={() => handlePresetAmount(10000)} className={getThemeClasses.button}>$10,000</button>
+                  <button onClick={() => handlePresetAmount(25000)} className={getThemeClasses.button}>$25,000</button>
+                  <button onClick={() => handlePresetAmount(50000)} className={getThemeClasses.button}>$50,000</button>
+                </div>
+              </div>
+            
+              <div className="mb-6">
+                <label className={darkMode ? "block text-gray-300 font-semibold mb-2" : "block text-gray-700 font-semibold mb-2"}>
+                  Share Price Assumption ($)
+                </label>
+                <input
+                  type="number"
+                  value={sharePrice}
+                  onChange={handleSharePriceChange}
+                  min="0"
+                  step="0.01"
+                  placeholder={`Current: ${priceData.currentPrice.toFixed(2)}`}
+                  className={getThemeClasses.input}
+                />
+              </div>
+            
+              {/* Custom dividend scenario section */}
+              <div className={getThemeClasses.scenario}>
+                <h3 className={darkMode ? "text-lg font-bold text-gray-200 mb-3" : "text-lg font-bold text-gray-800 mb-3"}>
+                  Dividend Scenario Builder
+                </h3>
+              
+                <div className="mb-4">
+                  <div className="flex items-center mb-3">
+                    <input
+                      type="checkbox"
+                      id="useCustomDividend"
+                      checked={useCustomDividend}
+                      onChange={handleUseCustomDividendChange}
+                      className={getThemeClasses.checkbox}
+                    />
+                    <label htmlFor="useCustomDividend" className={darkMode ? "text-gray-300 font-medium" : "text-gray-700 font-medium"}>
+                      Use custom monthly dividend amount
+                    </label>
+                  </div>
+                
+                  {useCustomDividend && (
+                    <div className="space-y-3">
+                      <div>
+                        <label className={darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1"}>
+                          Custom Monthly Dividend ($)
+                        </label>
+                        <input
+                          type="number"
+                          value={customDividendAmount}
+                          onChange={handleCustomDividendChange}
+                          step="0.0001"
+                          min="0"
+                          placeholder={`Average: ${monthlyDividendPerShare.toFixed(4)}`}
+                          className={getThemeClasses.input}
+                        />
+                      </div>
+                    
+                      <div>
+                        <label className={darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1"}>
+                          Scenario Name (Optional)
+                        </label>
+                        <input
+                          type="text"
+                          value={scenarioName}
+                          onChange={handleScenarioNameChange}
+                          placeholder="e.g., Bull Market, Bear Market"
+                          className={getThemeClasses.input}
+                        />
+                      </div>
+                    </div>
+                  )}
+                </div>
               
-              <div className="mb-4">
+                <div className="flex flex-wrap gap-2">
+                  <button 
+                    onClick={() => applyPresetScenario('bullish')} 
+                    className={getThemeClasses.bullishBtn}
+                  >
+                    Bullish (+50%)
+                  </button>
+                  <button 
+                    onClick={() => applyPresetScenario('bearish')} 
+                    className={getThemeClasses.bearishBtn}
+                  >
+                    Bearish (-50%)
+                  </button>
+                  <button 
+                    onClick={() => applyPresetScenario('highest')} 
+                    className={getThemeClasses.peakBtn}
+                  >
+                    Peak Performance
+                  </button>
+                  <button 
+                    onClick={() => applyPresetScenario('lowest')} 
+                    className={getThemeClasses.minimumBtn}
+                  >
+                    Minimum Performance
+                  </button>
+                  <button 
+                    onClick={() => applyPresetScenario('reset')} 
+                    className={getThemeClasses.resetBtn}
+                  >
+                    Reset to Average
+                  </button>
+                </div>
+              </div>
+            
+              {/* Dividend reinvestment (DRIP) section */}
+              <div className={getThemeClasses.scenario}>
                 <div className="flex items-center mb-3">
                   <input
                     type="checkbox"
-                    id="useCustomDividend"
-                    checked={useCustomDividend}
-                    onChange={handleUseCustomDividendChange}
+                    id="dripEnabled"
+                    checked={dripEnabled}
+                    onChange={(e) => setDripEnabled(e.target.checked)}
                     className={getThemeClasses.checkbox}
                   />
-                  <label htmlFor="useCustomDividend" className={darkMode ? "text-gray-300 font-medium" : "text-gray-700 font-medium"}>
-                    Use custom monthly dividend amount
+                  <label htmlFor="dripEnabled" className={darkMode ? "text-gray-300 font-medium" : "text-gray-700 font-medium"}>
+                    Reinvest dividends (DRIP)
                   </label>
                 </div>
-                
-                {useCustomDividend && (
-                  <div className="space-y-3">
+              
+                {dripEnabled && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                     <div>
                       <label className={darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1"}>
-                        Custom Monthly Dividend ($)
+                        Projection Horizon
                       </label>
-                      <input
-                        type="number"
-                        value={customDividendAmount}
-                        onChange={handleCustomDividendChange}
-                        step="0.0001"
-                        min="0"
-                        placeholder={`Average: ${averageMonthlyDividend.toFixed(4)}`}
+                      <select
+                        value={dripMonths}
+                        onChange={(e) => setDripMonths(parseInt(e.target.value, 10))}
                         className={getThemeClasses.input}
-                      />
+                      >
+                        <option value={12}>12 months</option>
+                        <option value={24}>24 months</option>
+                        <option value={36}>36 months</option>
+                        <option value={60}>60 months</option>
+                      </select>
                     </div>
-                    
+                  
                     <div>
                       <label className={darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1"}>
-                        Scenario Name (Optional)
+                        Assumed Monthly Price Change (%)
                       </label>
                       <input
-                        type="text"
-                        value={scenarioName}
-                        onChange={handleScenarioNameChange}
-                        placeholder="e.g., Bull Market, Bear Market"
+                        type="number"
+                        value={monthlyPriceChange}
+                        onChange={handleMonthlyPriceChange}
+                        step="0.1"
+                        placeholder="e.g., -2 for 2% monthly decay"
                         className={getThemeClasses.input}
                       />
                     </div>
                   </div>
                 )}
               </div>
-              
-              <div className="flex flex-wrap gap-2">
-                <button 
-                  onClick={() => applyPresetScenario('bullish')} 
-                  className={getThemeClasses.bullishBtn}
-                >
-                  Bullish (+50%)
-                </button>
-                <button 
-                  onClick={() => applyPresetScenario('bearish')} 
-                  className={getThemeClasses.bearishBtn}
-                >
-                  Bearish (-50%)
-                </button>
-                <button 
-                  onClick={() => applyPresetScenario('highest')} 
-                  className={getThemeClasses.peakBtn}
-                >
-                  Peak Performance
-                </button>
-                <button 
-                  onClick={() => applyPresetScenario('lowest')} 
-                  className={getThemeClasses.minimumBtn}
-                >
-                  Minimum Performance
-                </button>
-                <button 
-                  onClick={() => applyPresetScenario('reset')} 
-                  className={getThemeClasses.resetBtn}
-                >
-                  Reset to Average
-                </button>
-              </div>
-            </div>
+            </fieldset>
+            
+            {/* After-tax settings */}
+            <TaxSettingsPanel
+              darkMode={darkMode}
+              settings={taxSettings}
+              onChange={handleTaxSettingsChange}
+            />
+            
+            {!calculatedResults && (
+              <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+                Projections are unavailable until a price quote loads.
+              </p>
+            )}
             
             {calculatedResults && (
               <>
+                {/* Stale price warning for projections */}
+                {priceData.stale && (
+                  <div className={getThemeClasses.warningBanner}>
+                    <p className="font-bold">Not Current</p>
+                    <p>These projections use a ${priceData.currentPrice.toFixed(2)} quote from {formatDataAge(priceData.fetchedAt)} ago, not a live price.</p>
+                  </div>
+                )}
+                
                 {/* Scenario banner if using custom dividend */}
                 {calculatedResults.isCustomScenario && (
                   <div className={getThemeClasses.scenarioBanner}>
                     <p className={getThemeClasses.scenarioText}>
                       <span className="mr-2">📊</span>
                       {calculatedResults.scenarioName}: Using ${parseFloat(customDividendAmount).toFixed(4)} monthly dividend per share 
-                      {averageMonthlyDividend > 0 ? 
-                        ` (${((parseFloat(customDividendAmount) / averageMonthlyDividend) * 100 - 100).toFixed(0)}% vs historical average)` 
+                      {monthlyDividendPerShare > 0 ? 
+                        ` (${((parseFloat(customDividendAmount) / monthlyDividendPerShare) * 100 - 100).toFixed(0)}% vs historical average)` 
                         : ''}
                     </p>
                   </div>
@@ -787,11 +1450,26 @@ const MSTYDividendDashboard = () => {
                   <div className={getThemeClasses.monthlyCard}>
                     <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Expected Monthly Income</h3>
                     <p className={getThemeClasses.monthlyText}>${calculatedResults.expectedMonthlyDividend}</p>
+                    {taxSettings.enabled && (
+                      <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                        ${calculatedResults.expectedMonthlyAfterTax} after tax (${calculatedResults.monthlyReturnOfCapital} ROC)
+                      </p>
+                    )}
                   </div>
                   
                   <div className={getThemeClasses.annualCard}>
                     <h3 className={darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold"}>Expected Annual Income</h3>
                     <p className={getThemeClasses.annualText}>${calculatedResults.expectedAnnualDividend}</p>
+                    {taxSettings.enabled && (
+                      <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                        ${calculatedResults.expectedAnnualAfterTax} after tax
+                      </p>
+                    )}
+                    {calculatedResults.dripSummary && dripMonths > 12 && (
+                      <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                        ${calculatedResults.dripSummary.finalYearIncome.toFixed(2)} in year {Math.ceil(dripMonths / 12)} with DRIP
+                      </p>
+                    )}
                   </div>
                   
                   <div className={getThemeClasses.returnCard}>
@@ -809,11 +1487,35 @@ const MSTYDividendDashboard = () => {
             )}
           </div>
           
+          {/* Daily price history with ex-dividend markers */}
+          <PriceHistoryChart
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            priceHistory={priceHistory}
+            dividendHistory={dividendHistory}
+            fetchedAt={dataFreshness.priceHistory ? dataFreshness.priceHistory.fetchedAt : null}
+          />
+          
           {/* Charts section */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
             {/* Dividend history chart */}
             <div className={getThemeClasses.card}>
-              <h2 className={getThemeClasses.chartTitle}>MSTY Monthly Dividend History</h2>
+              <h2 className={getThemeClasses.chartTitle}>{fund.symbol} Monthly Dividend History</h2>
+              <div className="flex items-center space-x-2 mb-2">
+                <label htmlFor="forecastModel" className={darkMode ? "text-sm text-gray-400" : "text-sm text-gray-600"}>
+                  Forecast model
+                </label>
+                <select
+                  id="forecastModel"
+                  value={forecastModel}
+                  onChange={(e) => setForecastModel(e.target.value)}
+                  className={darkMode ? "border border-gray-600 bg-gray-700 rounded-md px-2 py-1 text-sm text-white" : "border border-gray-300 rounded-md px-2 py-1 text-sm"}
+                >
+                  {listForecastModels().map(model => (
+                    <option key={model.id} value={model.id} title={model.description}>{model.label}</option>
+                  ))}
+                </select>
+              </div>
               <div className="h-64">
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart data={chartData}>
@@ -830,8 +1532,28 @@ const MSTYDividendDashboard = () => {
                       tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
                     />
                     <Tooltip content={<CustomTooltip />} />
+                    {dividendForecast && (
+                      <ReferenceArea 
+                        y1={dividendForecast.low} 
+                        y2={dividendForecast.high} 
+                        fill={darkMode ? "#F59E0B" : "#FCD34D"} 
+                        fillOpacity={0.2} 
+                        ifOverflow="extendDomain" 
+                      />
+                    )}
+                    {dividendForecast && (
+                      <ReferenceLine 
+                        y={dividendForecast.estimate} 
+                        stroke={darkMode ? "#FBBF24" : "#D97706"} 
+                        label={{ 
+                          value: "Forecast", 
+                          fill: darkMode ? "#FCD34D" : "#B45309",
+                          position: 'insideTopLeft'
+                        }} 
+                      />
+                    )}
                     <ReferenceLine 
-                      y={averageMonthlyDividend} 
+                      y={dividendAverage.value} 
                       stroke={darkMode ? "#EF4444" : "red"} 
                       strokeDasharray="3 3" 
                       label={{ 
@@ -853,14 +1575,23 @@ const MSTYDividendDashboard = () => {
                       />
                     )}
                     <Bar dataKey="dividend" fill={darkMode ? "#6366F1" : "#4F46E5"} name="Dividend" />
+                    {taxSettings.enabled && (
+                      <Bar dataKey="afterTaxDividend" fill={darkMode ? "#10B981" : "#059669"} name="After Tax" />
+                    )}
                   </BarChart>
                 </ResponsiveContainer>
               </div>
+              {dividendForecast && nextPeriod && (
+                <p className={darkMode ? "mt-2 text-xs text-gray-400" : "mt-2 text-xs text-gray-500"}>
+                  {nextPeriod.month} {nextPeriod.year} forecast: ${dividendForecast.estimate.toFixed(4)} 
+                  (band ${dividendForecast.low.toFixed(4)} - ${dividendForecast.high.toFixed(4)})
+                </p>
+              )}
             </div>
             
             {/* Dividend yield chart */}
             <div className={getThemeClasses.card}>
-              <h2 className={getThemeClasses.chartTitle}>MSTY Monthly Yield % History</h2>
+              <h2 className={getThemeClasses.chartTitle}>{fund.symbol} Monthly Yield % History</h2>
               <div className="h-64">
                 <ResponsiveContainer width="100%" height="100%">
                   <LineChart data={chartData}>
@@ -920,7 +1651,7 @@ const MSTYDividendDashboard = () => {
                       tick={{ fill: darkMode ? "#9CA3AF" : "#4B5563" }}
                     />
                     <Tooltip 
-                      formatter={(value) => [`$${value}`, 'Return']} 
+                      formatter={(value, name) => [`$${value}`, name]} 
                       contentStyle={{ 
                         backgroundColor: darkMode ? '#374151' : '#fff', 
                         borderColor: darkMode ? '#4B5563' : '#e5e7eb',
@@ -932,6 +1663,13 @@ const MSTYDividendDashboard = () => {
                       fill={calculatedResults.isCustomScenario ? (darkMode ? "#0E7490" : "#0891B2") : (darkMode ? "#059669" : "#16A34A")} 
                       name="Monthly Return" 
                     />
+                    {taxSettings.enabled && (
+                      <Bar 
+                        dataKey="afterTaxReturn" 
+                        fill={darkMode ? "#6EE7B7" : "#34D399"} 
+                        name="After Tax" 
+                      />
+                    )}
                   </BarChart>
                 </ResponsiveContainer>
               </div>
@@ -944,6 +1682,160 @@ const MSTYDividendDashboard = () => {
             </div>
           )}
           
+          {/* DRIP projection (shares, income and value over time) */}
+          {calculatedResults && calculatedResults.dripSummary && (
+            <DripProjection
+              darkMode={darkMode}
+              projection={calculatedResults.dripProjection}
+              summary={calculatedResults.dripSummary}
+              months={dripMonths}
+            />
+          )}
+          
+          {/* Investment needed for a target income */}
+          <IncomeGoalPlanner
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            currentPrice={priceData.currentPrice}
+            averageMonthlyDividend={monthlyDividendPerShare}
+            dividendHistory={dividendHistory}
+            scenarios={fundScenarios}
+            taxSettings={taxSettings}
+          />
+          
+          {/* When income plus remaining value recovers the investment */}
+          <BreakEvenAnalysis
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            investmentAmount={investmentAmount}
+            sharePrice={purchasePrice}
+            monthlyDividend={useCustomDividend && customDividendAmount
+              ? parseFloat(customDividendAmount)
+              : monthlyDividendPerShare}
+          />
+          
+          {/* Percentile bands from resampled historical paths */}
+          <MonteCarloSimulation
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            dividendHistory={dividendHistory}
+            priceHistory={priceHistory}
+            sharesOwned={calculatedResults ? parseFloat(calculatedResults.sharesOwned) : 0}
+            currentPrice={priceData.currentPrice}
+          />
+          
+          {/* Saved scenarios compared side by side */}
+          <ScenarioLibrary
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            scenarios={fundScenarios}
+            currentPrice={priceData.currentPrice}
+            averageMonthlyDividend={monthlyDividendPerShare}
+            onSaveCurrent={handleSaveScenario}
+            onLoad={snapshotView ? null : handleLoadScenario}
+            onRename={handleRenameScenario}
+            onDuplicate={handleDuplicateScenario}
+            onDelete={handleDeleteScenario}
+          />
+          
+          {/* Total return vs. NAV erosion */}
+          <TotalReturnAnalysis
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            priceHistory={priceHistory}
+            dividendHistory={dividendHistory}
+          />
+          
+          {/* Price drop and recovery around each ex-dividend date */}
+          <ExDividendDropAnalysis
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            priceHistory={priceHistory}
+            dividendHistory={dividendHistory}
+          />
+          
+          {/* Replay a past purchase through the distribution history */}
+          <BacktestAnalysis
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            priceHistory={priceHistory}
+            dividendHistory={dividendHistory}
+            currentPrice={priceData.stale ? 0 : priceData.currentPrice}
+          />
+          
+          {/* Holdings ledger with actual dividends received */}
+          <HoldingsLedger
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            transactions={transactions}
+            dividendsReceived={dividendsReceived}
+            summary={holdingsSummary}
+            onAddTransaction={handleAddTransaction}
+            onDeleteTransaction={handleDeleteTransaction}
+          />
+          
+          {/* Import distributions from a file */}
+          <DividendImport
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            priceHistory={priceHistory}
+            importedCount={loadImportedDividends(selectedSymbol).length}
+            onImport={handleImportDividends}
+            onClear={handleClearImportedDividends}
+          />
+          
+          {/* Alert rules delivered as browser notifications */}
+          <AlertRules
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            rules={alertRules}
+            recentAlerts={recentAlerts}
+            permission={notificationPermission}
+            onAddRule={handleAddAlertRule}
+            onToggleRule={handleToggleAlertRule}
+            onDeleteRule={handleDeleteAlertRule}
+            onRequestPermission={handleRequestNotificationPermission}
+          />
+          
+          {/* Upcoming ex-dividend and payment dates as an .ics calendar */}
+          <DistributionCalendar
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            dividendHistory={dividendHistory}
+            shares={holdingsSummary.sharesHeld > 0
+              ? holdingsSummary.sharesHeld
+              : parseFloat(calculatedResults ? calculatedResults.sharesOwned : 0) || 0}
+            forecastModel={forecastModel}
+          />
+          
+          {/* Validation results for every dividend record source */}
+          <DataQualityPanel
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            issues={dataQualityIssues}
+            recordCount={dividendHistory.length}
+          />
+          
+          {/* Replay the auto-update pipeline for a chosen date */}
+          <TimeTravelSimulation
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            dividendHistory={dividendHistory}
+            currentPrice={priceData.currentPrice}
+            forecastModel={forecastModel}
+          />
+          
+          {/* Download data sets as CSV, JSON or XLSX */}
+          <DataExport
+            darkMode={darkMode}
+            symbol={fund.symbol}
+            datasets={buildExportDatasets({
+              dividendHistory,
+              calculatedResults,
+              investmentAmount
+            })}
+          />
+          
           {/* Dividend history table */}
           <div className={getThemeClasses.card + " mb-8"}>
             <h2 className={getThemeClasses.chartTitle}>Dividend History</h2>
@@ -960,29 +1852,67 @@ const MSTYDividendDashboard = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {dividendHistory.map((dividend, index) => (
-                    <tr key={index} className={index % 2 === 0 ? (darkMode ? 'bg-gray-900' : 'bg-gray-50') : ''}>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>{dividend.month} {dividend.year}</td>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>
-                        ${dividend.dividend.toFixed(4)}
-                      </td>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>
-                        {dividend.yield.toFixed(2)}%
-                      </td>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>
-                        {dividend.exDate || 'N/A'}
-                      </td>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b"}>
-                        {dividend.payDate || 'N/A'}
-                      </td>
-                      <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-center text-gray-300" : "py-2 px-4 border-b text-center"}>
-                        {dividend.estimated && <span className="text-yellow-500 text-xs">📊 Estimated</span>}
-                        {dividend.announced && <span className="text-blue-500 text-xs">🎉 Announced</span>}
-                        {dividend.updated && <span className="text-green-500 text-xs">✅ Updated</span>}
-                        {!dividend.estimated && !dividend.announced && !dividend.updated && <span className="text-gray-400 text-xs">✓ Confirmed</span>}
-                      </td>
-                    </tr>
-                  ))}
+                  {pricedHistory.map((dividend, index) => {
+                    const rowKey = getRecordKey(dividend);
+                    const lineage = dividend.lineage || [];
+                    const cellClass = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+                    return (
+                      <React.Fragment key={rowKey}>
+                        <tr className={index % 2 === 0 ? (darkMode ? 'bg-gray-900' : 'bg-gray-50') : ''}>
+                          <td className={cellClass}>{dividend.month} {dividend.year}</td>
+                          <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>
+                            ${dividend.dividend.toFixed(4)}
+                          </td>
+                          <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>
+                            {formatYield(dividend.yield)}
+                            {dividend.yieldSource === 'reported' && dividend.yield !== null && (
+                              <span className={darkMode ? "text-gray-500 text-xs ml-1" : "text-gray-400 text-xs ml-1"}>reported</span>
+                            )}
+                          </td>
+                          <td className={cellClass}>
+                            {dividend.exDate || 'N/A'}
+                          </td>
+                          <td className={cellClass}>
+                            {dividend.payDate || 'N/A'}
+                          </td>
+                          <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-center text-gray-300" : "py-2 px-4 border-b text-center"}>
+                            <span className={`text-xs font-medium ${getStatusClass(dividend.status)}`}>
+                              {LIFECYCLE_STATUSES[dividend.status] ? LIFECYCLE_STATUSES[dividend.status].label : 'Confirmed'}
+                            </span>
+                            <span className={darkMode ? "block text-gray-500 text-xs" : "block text-gray-400 text-xs"}>
+                              {RECORD_SOURCES[dividend.source] || dividend.source}
+                              {dividend.recordedAt && `, ${new Date(dividend.recordedAt).toLocaleDateString()}`}
+                            </span>
+                            {lineage.length > 0 && (
+                              <button
+                                onClick={() => setExpandedLineage(expandedLineage === rowKey ? null : rowKey)}
+                                className={darkMode ? "text-indigo-300 text-xs hover:underline" : "text-blue-600 text-xs hover:underline"}
+                              >
+                                {expandedLineage === rowKey ? 'Hide' : 'Show'} {lineage.length} earlier version{lineage.length === 1 ? '' : 's'}
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                        {expandedLineage === rowKey && [...lineage].reverse().map(version => (
+                          <tr key={`${rowKey}-${version.recordedAt}`} className={darkMode ? "bg-gray-800 text-xs" : "bg-white text-xs"}>
+                            <td className={`${cellClass} pl-8`}>↳ {new Date(version.recordedAt).toLocaleString()}</td>
+                            <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-right text-gray-300" : "py-2 px-4 border-b text-right"}>
+                              ${version.dividend.toFixed(4)}
+                            </td>
+                            <td className={cellClass}></td>
+                            <td className={cellClass}>{version.exDate || 'N/A'}</td>
+                            <td className={cellClass}>{version.payDate || 'N/A'}</td>
+                            <td className={darkMode ? "py-2 px-4 border-b border-gray-700 text-center text-gray-300" : "py-2 px-4 border-b text-center"}>
+                              <span className={getStatusClass(version.status)}>
+                                {LIFECYCLE_STATUSES[version.status] ? LIFECYCLE_STATUSES[version.status].label : version.status}
+                              </span>
+                              {' '}({RECORD_SOURCES[version.source] || version.source}), superseded
+                            </td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -992,7 +1922,7 @@ const MSTYDividendDashboard = () => {
           <div className={getThemeClasses.card}>
             <h2 className={getThemeClasses.chartTitle}>Important Disclaimer</h2>
             <p className={darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm"}>
-              This dashboard is for informational purposes only. Historical dividend payments may not be indicative of future returns. MSTY dividends can vary significantly month to month based on the fund's strategy of selling options on MicroStrategy (MSTR). The YieldMax MSTR Option Income Strategy ETF (MSTY) is an actively managed ETF that uses options strategies which may limit upside potential. Please consult with a financial advisor before making investment decisions.
+              This dashboard is for informational purposes only. Historical dividend payments may not be indicative of future returns. {fund.symbol} dividends can vary significantly month to month based on the fund's strategy of selling options on {fund.underlying}. The {fund.name} ({fund.symbol}) is an actively managed ETF that uses options strategies which may limit upside potential. Please consult with a financial advisor before making investment decisions.
             </p>
             <p className={darkMode ? "text-gray-300 text-sm mt-2" : "text-gray-700 text-sm mt-2"}>
               Data is refreshed automatically every 5 minutes or when you click the refresh button. Price data is in real-time, while dividend information may be delayed. The auto-update feature will attempt to detect new dividend announcements typically made 5-10 days before the ex-dividend date (usually between the 5th-10th of each month).
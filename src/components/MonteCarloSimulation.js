@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import {
+  SIMULATION_MONTH_OPTIONS,
+  SIMULATION_PATH_OPTIONS,
+  buildSimulationSamples,
+  runMonteCarloSimulation
+} from '../services/simulationService';
+
+const MonteCarloSimulation = ({ darkMode, symbol, dividendHistory, priceHistory, sharesOwned, currentPrice }) => {
+  const [months, setMonths] = useState(24);
+  const [paths, setPaths] = useState(2000);
+  const [reinvest, setReinvest] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const subtitleClass = darkMode ? "text-lg font-bold text-gray-200 mb-2" : "text-lg font-bold text-gray-800 mb-2";
+  const textClass = darkMode ? "text-gray-300 text-sm" : "text-gray-700 text-sm";
+  const mutedClass = darkMode ? "text-gray-400 text-xs" : "text-gray-500 text-xs";
+  const selectClass = darkMode
+    ? "p-1 border border-gray-600 rounded-md bg-gray-700 text-white"
+    : "p-1 border border-gray-300 rounded-md";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-1 rounded-md hover:bg-indigo-800"
+    : "bg-blue-100 text-blue-700 px-3 py-1 rounded-md hover:bg-blue-200";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-gray-100" : "text-gray-800";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+  const tooltipStyle = {
+    backgroundColor: darkMode ? '#374151' : '#fff',
+    borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+    color: darkMode ? '#F3F4F6' : '#111827'
+  };
+
+  const canRun = sharesOwned > 0 && currentPrice > 0 && dividendHistory.length > 0;
+
+  const handleRun = () => {
+    const samples = buildSimulationSamples(dividendHistory, priceHistory);
+    setResult(runMonteCarloSimulation({
+      initialShares: sharesOwned,
+      startPrice: currentPrice,
+      months,
+      paths,
+      samples,
+      reinvest
+    }));
+  };
+
+  const formatMoney = (value) => `$${value.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+
+  // One chart with P10, P50 and P90 lines for a metric
+  const renderBandChart = (prefix, color) => (
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={result.bands}>
+          <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+          <XAxis dataKey="label" angle={-45} textAnchor="end" height={60} tick={tickStyle} />
+          <YAxis domain={[0, 'auto']} tick={tickStyle} />
+          <Tooltip formatter={(value, name) => [formatMoney(value), name]} contentStyle={tooltipStyle} />
+          <Legend />
+          <Line type="monotone" dataKey={`${prefix}P90`} name="P90" stroke={color} strokeDasharray="4 4" dot={false} />
+          <Line type="monotone" dataKey={`${prefix}P50`} name="P50 (median)" stroke={color} strokeWidth={2} dot={false} />
+          <Line type="monotone" dataKey={`${prefix}P10`} name="P10" stroke={color} strokeDasharray="4 4" dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Monte Carlo Income Simulation</h2>
+      <p className={`${textClass} mb-3`}>
+        Simulates many possible paths by resampling historical monthly price changes and distributions, then shows
+        the 10th, 50th and 90th percentile outcomes for the calculator's position.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label htmlFor="simulationMonths" className={textClass}>Horizon</label>
+        <select
+          id="simulationMonths"
+          value={months}
+          onChange={(e) => setMonths(parseInt(e.target.value, 10))}
+          className={selectClass}
+        >
+          {SIMULATION_MONTH_OPTIONS.map(option => (
+            <option key={option} value={option}>{option} months</option>
+          ))}
+        </select>
+        <label htmlFor="simulationPaths" className={textClass}>Paths</label>
+        <select
+          id="simulationPaths"
+          value={paths}
+          onChange={(e) => setPaths(parseInt(e.target.value, 10))}
+          className={selectClass}
+        >
+          {SIMULATION_PATH_OPTIONS.map(option => (
+            <option key={option} value={option}>{option.toLocaleString()}</option>
+          ))}
+        </select>
+        <label className={`${textClass} flex items-center gap-1`}>
+          <input type="checkbox" checked={reinvest} onChange={(e) => setReinvest(e.target.checked)} className="h-4 w-4" />
+          Reinvest distributions
+        </label>
+        <button onClick={handleRun} className={buttonClass} disabled={!canRun}>
+          Run Simulation
+        </button>
+      </div>
+
+      {!canRun && (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          The simulation needs a current price, dividend history and an investment amount.
+        </p>
+      )}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            <div className={statCard}>
+              <h3 className={statLabel}>Cumulative Income after {result.months} months</h3>
+              <p className={statText}>
+                P10 {formatMoney(result.final.incomeP10)} · <span className="font-bold">P50 {formatMoney(result.final.incomeP50)}</span> · P90 {formatMoney(result.final.incomeP90)}
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Ending Position Value</h3>
+              <p className={statText}>
+                P10 {formatMoney(result.final.valueP10)} · <span className="font-bold">P50 {formatMoney(result.final.valueP50)}</span> · P90 {formatMoney(result.final.valueP90)}
+              </p>
+            </div>
+          </div>
+
+          <h3 className={subtitleClass}>Cumulative Income</h3>
+          {renderBandChart('income', darkMode ? "#34D399" : "#16A34A")}
+
+          <h3 className={`${subtitleClass} mt-4`}>Position Value</h3>
+          {renderBandChart('value', darkMode ? "#A78BFA" : "#7E22CE")}
+
+          <div className={`${mutedClass} mt-2 italic`}>
+            Note: {result.paths.toLocaleString()} paths.{' '}
+            {result.distributionMode === 'rate'
+              ? 'Distributions are drawn as a share of the price before each historical ex-date, so income falls when the price falls.'
+              : 'Distributions are drawn from historical per-share amounts.'}{' '}
+            {result.flatPrice
+              ? 'Price history is unavailable, so the share price is held flat.'
+              : 'Monthly price changes are drawn from the daily price history.'}
+            {' '}Past distributions do not guarantee future results.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloSimulation;
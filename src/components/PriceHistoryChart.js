@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { LIFECYCLE_STATUSES, isConfirmedRecord } from '../services/dividendLifecycleService';
+import { PRICE_RANGES, DEFAULT_PRICE_RANGE, buildPriceChartData } from '../services/priceChartService';
+
+const PriceHistoryChart = ({ darkMode, symbol, priceHistory, dividendHistory, fetchedAt }) => {
+  const [range, setRange] = useState(DEFAULT_PRICE_RANGE);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+  const rangeButton = (active) => {
+    if (active) {
+      return darkMode
+        ? "px-3 py-1 rounded-md text-sm bg-indigo-700 text-white"
+        : "px-3 py-1 rounded-md text-sm bg-blue-600 text-white";
+    }
+    return darkMode
+      ? "px-3 py-1 rounded-md text-sm bg-gray-700 text-gray-200 hover:bg-gray-600"
+      : "px-3 py-1 rounded-md text-sm bg-gray-100 text-gray-700 hover:bg-gray-200";
+  };
+
+  if (!priceHistory || priceHistory.length === 0) {
+    return (
+      <div className={cardClass + " mb-8"}>
+        <h2 className={titleClass}>{symbol} Price History</h2>
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          Price history is unavailable and nothing is cached yet. Check your API key configuration.
+        </p>
+      </div>
+    );
+  }
+
+  const { data, exDates } = buildPriceChartData(priceHistory, dividendHistory, range);
+
+  // Tooltip with the close and, on ex-dates, the distribution paid
+  const renderTooltip = ({ active, payload }) => {
+    if (!active || !payload || payload.length === 0) return null;
+    const bar = payload[0].payload;
+    return (
+      <div className={darkMode
+        ? "bg-gray-700 border border-gray-600 text-gray-100 p-2 rounded text-sm"
+        : "bg-white border border-gray-200 text-gray-900 p-2 rounded text-sm"}
+      >
+        <p className="font-medium">{bar.date}</p>
+        <p>Close: ${bar.close.toFixed(2)}</p>
+        {typeof bar.high === 'number' && typeof bar.low === 'number' && (
+          <p>Range: ${bar.low.toFixed(2)} - ${bar.high.toFixed(2)}</p>
+        )}
+        {bar.distribution && (
+          <p className={darkMode ? "text-green-300" : "text-green-700"}>
+            Ex-dividend: ${bar.distribution.dividend.toFixed(4)} ({bar.distribution.label}
+            {isConfirmedRecord(bar.distribution) ? '' : `, ${LIFECYCLE_STATUSES[bar.distribution.status].label.toLowerCase()}`})
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Price History</h2>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {PRICE_RANGES.map(item => (
+          <button key={item.id} onClick={() => setRange(item.id)} className={rangeButton(range === item.id)}>
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {data.length === 0 ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          No prices in this range.
+        </p>
+      ) : (
+        <div className="h-80">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+              <XAxis dataKey="date" tick={tickStyle} minTickGap={30} />
+              <YAxis domain={['auto', 'auto']} tick={tickStyle} tickFormatter={(value) => `$${value.toFixed(0)}`} />
+              <Tooltip content={renderTooltip} />
+              {exDates.map(date => (
+                <ReferenceLine
+                  key={date}
+                  x={date}
+                  stroke={darkMode ? "#34D399" : "#16A34A"}
+                  strokeDasharray="3 3"
+                />
+              ))}
+              <Line
+                type="monotone"
+                dataKey="close"
+                name="Close"
+                stroke={darkMode ? "#60A5FA" : "#2563EB"}
+                dot={false}
+                strokeWidth={2}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Note: Daily closing prices. Dashed green lines mark ex-dividend dates; hover a line to see the distribution.
+        {fetchedAt && ` Prices fetched ${new Date(fetchedAt).toLocaleString()}.`}
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
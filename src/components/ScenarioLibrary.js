@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { compareScenarios } from '../services/scenarioService';
+
+const LINE_COLORS = ['#2563EB', '#16A34A', '#DC2626', '#7E22CE', '#D97706', '#0891B2'];
+const DARK_LINE_COLORS = ['#60A5FA', '#34D399', '#F87171', '#A78BFA', '#FBBF24', '#22D3EE'];
+
+const ScenarioLibrary = ({
+  darkMode,
+  symbol,
+  scenarios,
+  currentPrice,
+  averageMonthlyDividend,
+  onSaveCurrent,
+  onLoad,
+  onRename,
+  onDuplicate,
+  onDelete
+}) => {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [hiddenIds, setHiddenIds] = useState([]);
+  const [formError, setFormError] = useState(null);
+  const [months, setMonths] = useState(12);
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const mutedClass = darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+  const buttonClass = darkMode
+    ? "bg-indigo-900 text-indigo-100 px-3 py-2 rounded-md hover:bg-indigo-800"
+    : "bg-blue-100 text-blue-700 px-3 py-2 rounded-md hover:bg-blue-200";
+  const linkClass = darkMode ? "text-indigo-300 text-xs underline mr-2" : "text-blue-600 text-xs underline mr-2";
+  const th = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const td = darkMode ? "py-2 px-4 border-b border-gray-700 text-gray-300" : "py-2 px-4 border-b";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+  const colors = darkMode ? DARK_LINE_COLORS : LINE_COLORS;
+
+  // Save the calculator's current inputs under a new name
+  const handleSave = (e) => {
+    e.preventDefault();
+    const error = onSaveCurrent(newName);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError(null);
+    setNewName('');
+  };
+
+  const startRename = (scenario) => {
+    setEditingId(scenario.id);
+    setEditName(scenario.name);
+  };
+
+  const finishRename = () => {
+    const error = onRename(editingId, editName);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError(null);
+    setEditingId(null);
+  };
+
+  const toggleCompared = (id) => {
+    setHiddenIds(hiddenIds.includes(id) ? hiddenIds.filter(hidden => hidden !== id) : [...hiddenIds, id]);
+  };
+
+  const compared = scenarios.filter(scenario => !hiddenIds.includes(scenario.id));
+  const { rows, chartData } = compareScenarios(compared, { currentPrice, averageMonthlyDividend }, months);
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Scenario Library</h2>
+
+      {/* Save the current calculator inputs */}
+      <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-2 gap-3 items-end mb-4">
+        <div>
+          <label className={labelClass}>Scenario Name</label>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g., Bear Market $25k"
+            className={inputClass}
+          />
+        </div>
+        <button type="submit" className={buttonClass}>Save Current Calculator</button>
+      </form>
+      <p className={`${mutedClass} mb-4`}>
+        Saves the investment amount, share price, dividend assumption, monthly price change and DRIP setting from the
+        calculator above. Only scenarios saved for {symbol} are listed.
+      </p>
+
+      {formError && (
+        <p className={darkMode ? "text-red-300 text-sm mb-4" : "text-red-600 text-sm mb-4"}>{formError}</p>
+      )}
+
+      {scenarios.length === 0 ? (
+        <p className={mutedClass}>No saved {symbol} scenarios yet.</p>
+      ) : (
+        <>
+          {/* Side-by-side comparison */}
+          <div className="overflow-x-auto mb-6">
+            <table className={darkMode ? "min-w-full bg-gray-800" : "min-w-full bg-white"}>
+              <thead className={darkMode ? "bg-gray-900" : "bg-gray-100"}>
+                <tr>
+                  <th className={`${th} text-center`}>Compare</th>
+                  <th className={`${th} text-left`}>Scenario</th>
+                  <th className={`${th} text-right`}>Invested</th>
+                  <th className={`${th} text-right`}>Dividend / Share</th>
+                  <th className={`${th} text-right`}>Share Price</th>
+                  <th className={`${th} text-right`}>Monthly Income</th>
+                  <th className={`${th} text-right`}>Annual Income</th>
+                  <th className={`${th} text-right`}>Yield</th>
+                  <th className={`${th} text-left`}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {scenarios.map(scenario => {
+                  const row = rows.find(item => item.scenario.id === scenario.id);
+                  return (
+                    <tr key={scenario.id}>
+                      <td className={`${td} text-center`}>
+                        <input
+                          type="checkbox"
+                          checked={!hiddenIds.includes(scenario.id)}
+                          onChange={() => toggleCompared(scenario.id)}
+                          className="h-4 w-4"
+                        />
+                      </td>
+                      <td className={td}>
+                        {editingId === scenario.id ? (
+                          <input
+                            type="text"
+                            value={editName}
+                            onChange={(e) => setEditName(e.target.value)}
+                            onBlur={finishRename}
+                            onKeyDown={(e) => e.key === 'Enter' && finishRename()}
+                            className={inputClass}
+                            autoFocus
+                          />
+                        ) : scenario.name}
+                      </td>
+                      <td className={`${td} text-right`}>${scenario.investmentAmount.toLocaleString()}</td>
+                      <td className={`${td} text-right`}>
+                        {row ? `$${row.dividend.toFixed(4)}` : '-'}
+                        {!scenario.useCustomDividend && <span className={mutedClass}> (avg)</span>}
+                      </td>
+                      <td className={`${td} text-right`}>
+                        {row ? `$${row.price.toFixed(2)}` : '-'}
+                        {parseFloat(scenario.monthlyPriceChange) !== 0 && (
+                          <span className={mutedClass}> ({scenario.monthlyPriceChange}%/mo)</span>
+                        )}
+                      </td>
+                      <td className={`${td} text-right`}>{row ? `$${row.monthlyIncome.toFixed(2)}` : '-'}</td>
+                      <td className={`${td} text-right`}>{row ? `$${row.annualIncome.toFixed(2)}` : '-'}</td>
+                      <td className={`${td} text-right`}>{row ? `${row.annualYield.toFixed(2)}%` : '-'}</td>
+                      <td className={td}>
+                        {onLoad && (
+                          <button onClick={() => onLoad(scenario)} className={linkClass}>Load</button>
+                        )}
+                        <button onClick={() => startRename(scenario)} className={linkClass}>Rename</button>
+                        <button onClick={() => onDuplicate(scenario.id)} className={linkClass}>Duplicate</button>
+                        <button
+                          onClick={() => onDelete(scenario.id)}
+                          className={darkMode ? "text-red-300 text-xs underline" : "text-red-600 text-xs underline"}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Overlaid projections */}
+          {chartData.length > 0 && (
+            <>
+              <div className="flex items-center gap-3 mb-2">
+                <h3 className={darkMode ? "text-lg font-bold text-gray-200" : "text-lg font-bold text-gray-800"}>
+                  Projected Value Plus Income
+                </h3>
+                <select
+                  value={months}
+                  onChange={(e) => setMonths(parseInt(e.target.value, 10))}
+                  className={darkMode
+                    ? "p-1 border border-gray-600 rounded-md bg-gray-700 text-white"
+                    : "p-1 border border-gray-300 rounded-md"}
+                >
+                  {[12, 24, 36, 60].map(option => (
+                    <option key={option} value={option}>{option} months</option>
+                  ))}
+                </select>
+              </div>
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={chartData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+                    <XAxis dataKey="label" angle={-45} textAnchor="end" height={60} tick={tickStyle} />
+                    <YAxis domain={['auto', 'auto']} tick={tickStyle} />
+                    <Tooltip
+                      formatter={(value, name) => [`$${value.toFixed(2)}`, name]}
+                      contentStyle={{
+                        backgroundColor: darkMode ? '#374151' : '#fff',
+                        borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                        color: darkMode ? '#F3F4F6' : '#111827'
+                      }}
+                    />
+                    <Legend />
+                    {compared.map((scenario, index) => (
+                      <Line
+                        key={scenario.id}
+                        type="monotone"
+                        dataKey={scenario.id}
+                        name={scenario.name}
+                        stroke={colors[index % colors.length]}
+                        dot={false}
+                        strokeWidth={2}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+                Note: Each line is the position's value at the assumed price change plus distributions received, without reinvestment.
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioLibrary;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { FEDERAL_BRACKETS } from '../services/taxService';
+
+const TaxSettingsPanel = ({ darkMode, settings, onChange }) => {
+  const labelClass = darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1";
+  const inputClass = darkMode
+    ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+    : "border border-gray-300 rounded-md px-4 py-2 w-full";
+
+  // Update one numeric setting, ignoring values outside 0-100
+  const handleRateChange = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (e.target.value === '') {
+      onChange({ ...settings, [key]: 0 });
+    } else if (!isNaN(value) && value >= 0 && value <= 100) {
+      onChange({ ...settings, [key]: value });
+    }
+  };
+
+  return (
+    <div className={darkMode
+      ? "mb-6 p-4 border border-dashed border-gray-600 rounded-md bg-gray-800"
+      : "mb-6 p-4 border border-dashed border-gray-300 rounded-md bg-gray-50"}
+    >
+      <div className="flex items-center mb-3">
+        <input
+          type="checkbox"
+          id="taxEnabled"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+          className={darkMode ? "mr-2 h-4 w-4 text-indigo-600 bg-gray-700 border-gray-600" : "mr-2 h-4 w-4 text-blue-600"}
+        />
+        <label htmlFor="taxEnabled" className={darkMode ? "text-gray-300 font-medium" : "text-gray-700 font-medium"}>
+          Show after-tax income
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label className={labelClass}>Federal Bracket (%)</label>
+              <select
+                value={settings.federalRate}
+                onChange={(e) => onChange({ ...settings, federalRate: parseFloat(e.target.value) })}
+                className={inputClass}
+              >
+                {FEDERAL_BRACKETS.map(rate => (
+                  <option key={rate} value={rate}>{rate}%</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>State Rate (%)</label>
+              <input
+                type="number"
+                value={settings.stateRate}
+                onChange={handleRateChange('stateRate')}
+                min="0"
+                max="100"
+                step="0.1"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Return of Capital (%)</label>
+              <input
+                type="number"
+                value={settings.rocPercent}
+                onChange={handleRateChange('rocPercent')}
+                min="0"
+                max="100"
+                step="1"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <p className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+            The return of capital share is untaxed when paid (it lowers your cost basis); the rest is taxed as ordinary income at the combined federal and state rate. Distributions with their own ROC split use that instead.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaxSettingsPanel;
@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { calculateTotalReturn } from '../services/totalReturnService';
+
+const TotalReturnAnalysis = ({ darkMode, symbol, priceHistory, dividendHistory }) => {
+  const [startDate, setStartDate] = useState('');
+
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const tickStyle = { fill: darkMode ? "#9CA3AF" : "#4B5563" };
+
+  // Colour a percentage green when positive and red when negative
+  const returnClass = (value) => {
+    if (value >= 0) return darkMode ? "text-2xl font-bold text-green-300" : "text-2xl font-bold text-green-700";
+    return darkMode ? "text-2xl font-bold text-red-300" : "text-2xl font-bold text-red-700";
+  };
+
+  const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+  if (!priceHistory || priceHistory.length === 0) {
+    return (
+      <div className={cardClass + " mb-8"}>
+        <h2 className={titleClass}>{symbol} Total Return vs. NAV Erosion</h2>
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          Price history is unavailable, so total return cannot be calculated. Check your API key configuration.
+        </p>
+      </div>
+    );
+  }
+
+  // Default to the first day of loaded price history
+  const effectiveStart = startDate || priceHistory[0].date;
+  const result = calculateTotalReturn(priceHistory, dividendHistory, effectiveStart);
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Total Return vs. NAV Erosion</h2>
+
+      <div className="mb-4 max-w-xs">
+        <label className={darkMode ? "block text-gray-300 text-sm mb-1" : "block text-gray-700 text-sm mb-1"}>
+          Start Date
+        </label>
+        <input
+          type="date"
+          value={effectiveStart}
+          min={priceHistory[0].date}
+          max={priceHistory[priceHistory.length - 1].date}
+          onChange={(e) => setStartDate(e.target.value)}
+          className={darkMode
+            ? "border border-gray-600 bg-gray-700 rounded-md px-4 py-2 w-full text-white"
+            : "border border-gray-300 rounded-md px-4 py-2 w-full"}
+        />
+      </div>
+
+      {!result ? (
+        <p className={darkMode ? "text-gray-400 text-sm" : "text-gray-500 text-sm"}>
+          No price data on or after the selected start date.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className={statCard}>
+              <h3 className={statLabel}>Price Return</h3>
+              <p className={returnClass(result.priceReturn)}>{formatPercent(result.priceReturn)}</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                ${result.startPrice.toFixed(2)} → ${result.endPrice.toFixed(2)}
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Distribution Return</h3>
+              <p className={returnClass(result.distributionReturn)}>{formatPercent(result.distributionReturn)}</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                ${result.distributionsPerShare.toFixed(4)} per share from {result.distributionCount} distributions
+              </p>
+            </div>
+            <div className={statCard}>
+              <h3 className={statLabel}>Total Return</h3>
+              <p className={returnClass(result.totalReturn)}>{formatPercent(result.totalReturn)}</p>
+              <p className={darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1"}>
+                {result.startDate} to {result.endDate}
+              </p>
+            </div>
+          </div>
+
+          <div className="h-72">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={result.series}>
+                <CartesianGrid strokeDasharray="3 3" stroke={darkMode ? "#374151" : "#e5e7eb"} />
+                <XAxis dataKey="date" tick={tickStyle} minTickGap={30} />
+                <YAxis tick={tickStyle} tickFormatter={(value) => `${value.toFixed(0)}%`} />
+                <Tooltip
+                  formatter={(value, name) => [`${value.toFixed(2)}%`, name]}
+                  contentStyle={{
+                    backgroundColor: darkMode ? '#374151' : '#fff',
+                    borderColor: darkMode ? '#4B5563' : '#e5e7eb',
+                    color: darkMode ? '#F3F4F6' : '#111827'
+                  }}
+                />
+                <Legend />
+                <ReferenceLine y={0} stroke={darkMode ? "#6B7280" : "#9CA3AF"} />
+                <Line type="stepAfter" dataKey="distributionReturn" name="Cumulative Distributions" stroke={darkMode ? "#34D399" : "#16A34A"} dot={false} strokeWidth={2} />
+                <Line type="monotone" dataKey="priceReturn" name="Price Change" stroke={darkMode ? "#F87171" : "#DC2626"} dot={false} strokeWidth={2} />
+                <Line type="monotone" dataKey="totalReturn" name="Total Return" stroke={darkMode ? "#A78BFA" : "#7E22CE"} dot={false} strokeWidth={2} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+            Note: Returns are per share bought at the start date's close, with distributions held as cash (not reinvested).
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TotalReturnAnalysis;
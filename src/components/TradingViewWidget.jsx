@@ -1,6 +1,6 @@
 import React, { useEffect, useRef, memo } from 'react';
 
-function TradingViewWidget({ darkMode }) {
+function TradingViewWidget({ darkMode, symbol = "CFI:MSTY" }) {
   const container = useRef();
 
   useEffect(() => {
@@ -16,7 +16,7 @@ function TradingViewWidget({ darkMode }) {
     script.innerHTML = `
       {
         "autosize": true,
-        "symbol": "CFI:MSTY",
+        "symbol": "${symbol}",
         "interval": "D",
         "timezone": "Etc/UTC",
         "theme": "${darkMode ? 'dark' : 'light'}",
@@ -33,7 +33,7 @@ function TradingViewWidget({ darkMode }) {
         container.current.innerHTML = '';
       }
     };
-  }, [darkMode]); // Re-run when darkMode changes
+  }, [darkMode, symbol]); // Re-run when darkMode or symbol changes
 
   return (
     <div className="tradingview-widget-container" ref={container} style={{ height: "100%", width: "100%" }}>
@@ -0,0 +1,44 @@
+import React from 'react';
+import { calculateYieldMetrics, YIELD_METRIC_DEFINITIONS } from '../services/yieldMetricsService';
+
+const YieldMetrics = ({ darkMode, symbol, dividendHistory, currentPrice }) => {
+  const cardClass = darkMode ? "bg-gray-800 p-6 rounded-lg shadow-md" : "bg-white p-6 rounded-lg shadow-md";
+  const titleClass = darkMode ? "text-xl font-bold text-gray-200 mb-4" : "text-xl font-bold text-gray-800 mb-4";
+  const statCard = darkMode ? "bg-gray-700 p-4 rounded-md" : "bg-gray-50 p-4 rounded-md";
+  const statLabel = darkMode ? "text-gray-300 font-semibold" : "text-gray-700 font-semibold";
+  const statText = darkMode ? "text-2xl font-bold text-gray-100" : "text-2xl font-bold text-gray-800";
+  const mutedClass = darkMode ? "text-gray-400 text-xs mt-1" : "text-gray-500 text-xs mt-1";
+
+  const metrics = calculateYieldMetrics({ dividendHistory, currentPrice });
+
+  const formatValue = (metric) => {
+    if (metric.value === null) return 'N/A';
+    return metric.unit === 'percent' ? `${metric.value.toFixed(2)}%` : `$${metric.value.toFixed(4)}`;
+  };
+
+  return (
+    <div className={cardClass + " mb-8"}>
+      <h2 className={titleClass}>{symbol} Yield Metrics</h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {metrics.map(metric => (
+          <div key={metric.id} className={statCard}>
+            <h3 className={statLabel}>{metric.label}</h3>
+            <p className={statText}>{formatValue(metric)}</p>
+            <p className={mutedClass}>{metric.detail}</p>
+            <p className={darkMode ? "text-gray-400 text-xs mt-2 italic" : "text-gray-500 text-xs mt-2 italic"}>
+              {metric.definition}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div className={darkMode ? "mt-2 text-xs text-gray-400 italic" : "mt-2 text-xs text-gray-500 italic"}>
+        Note: Yields in the charts and history table are the {YIELD_METRIC_DEFINITIONS.exDateYield.label.toLowerCase()}:{' '}
+        {YIELD_METRIC_DEFINITIONS.exDateYield.definition}
+      </div>
+    </div>
+  );
+};
+
+export default YieldMetrics;
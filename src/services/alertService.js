@@ -0,0 +1,339 @@
+/**
+ * Alert Service for MSTY Dashboard
+ *
+ * This service stores user alert rules and evaluates them against each data refresh.
+ * Every rule keeps a small state (last value seen, keys already notified) so crossings
+ * are detected between refreshes and the same event is only reported once. Triggered
+ * alerts are delivered through the Web Notifications API when permission is granted.
+ */
+
+import { MONTH_NAMES, getRecordKey } from './dividendValidationService';
+import { LIFECYCLE_STATUSES, getRecordStatus, isConfirmedRecord } from './dividendLifecycleService';
+
+const RULES_STORAGE_KEY = 'mstyAlertRules';
+const STATE_STORAGE_KEY = 'mstyAlertState';
+
+// Rule types; rules with needsThreshold compare against rule.threshold
+export const ALERT_TYPES = {
+  newDistribution: {
+    id: 'newDistribution',
+    label: 'New distribution announced',
+    needsThreshold: false
+  },
+  distributionAbove: {
+    id: 'distributionAbove',
+    label: 'Distribution above ($/share)',
+    needsThreshold: true
+  },
+  distributionBelow: {
+    id: 'distributionBelow',
+    label: 'Distribution below ($/share)',
+    needsThreshold: true
+  },
+  priceCrosses: {
+    id: 'priceCrosses',
+    label: 'Price crosses ($)',
+    needsThreshold: true
+  },
+  yieldCrosses: {
+    id: 'yieldCrosses',
+    label: 'Annual yield crosses (%)',
+    needsThreshold: true
+  },
+  exDateTomorrow: {
+    id: 'exDateTomorrow',
+    label: 'Ex-dividend date is tomorrow',
+    needsThreshold: false
+  }
+};
+
+/**
+ * Loads every saved alert rule
+ * @returns {Array} Rules { id, symbol, type, threshold, enabled }
+ */
+export const loadAlertRules = () => {
+  try {
+    const saved = localStorage.getItem(RULES_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading alert rules:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the alert rules
+ * @param {Array} rules - Alert rules
+ */
+export const saveAlertRules = (rules) => {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+};
+
+/**
+ * Loads the per-rule evaluation state
+ * @returns {Object} State keyed by rule id
+ */
+export const loadAlertState = () => {
+  try {
+    const saved = localStorage.getItem(STATE_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error loading alert state:', error);
+    return {};
+  }
+};
+
+/**
+ * Saves the per-rule evaluation state
+ * @param {Object} state - State keyed by rule id
+ */
+export const saveAlertState = (state) => {
+  localStorage.setItem(STATE_STORAGE_KEY, JSON.stringify(state));
+};
+
+/**
+ * Validates a new rule
+ * @param {Object} rule - { type, threshold }
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+export const validateAlertRule = (rule) => {
+  const type = ALERT_TYPES[rule.type];
+  if (!type) {
+    return 'Choose an alert type';
+  }
+  if (type.needsThreshold) {
+    const threshold = parseFloat(rule.threshold);
+    if (isNaN(threshold) || threshold <= 0) {
+      return 'Threshold must be a positive number';
+    }
+  }
+  return null;
+};
+
+/**
+ * Human-readable description of a rule
+ * @param {Object} rule - Alert rule
+ * @returns {string} Description
+ */
+export const describeAlertRule = (rule) => {
+  const type = ALERT_TYPES[rule.type];
+  if (!type) return rule.type;
+
+  switch (rule.type) {
+    case 'distributionAbove':
+      return `${rule.symbol} distribution above $${rule.threshold}`;
+    case 'distributionBelow':
+      return `${rule.symbol} distribution below $${rule.threshold}`;
+    case 'priceCrosses':
+      return `${rule.symbol} price crosses $${rule.threshold}`;
+    case 'yieldCrosses':
+      return `${rule.symbol} annual yield crosses ${rule.threshold}%`;
+    default:
+      return `${rule.symbol}: ${type.label.toLowerCase()}`;
+  }
+};
+
+// Local calendar date, so "tomorrow" matches the user's day rather than UTC
+const toIsoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Month number of a distribution key, for comparing which month is newer
+ * @param {string} key - Ex-date such as "2025-06-05", or "year-month" such as "2025-Jun"
+ * @returns {number} Months since year 0, or -1 for an invalid key
+ */
+const toPeriodIndex = (key) => {
+  const [year, month] = String(key).split('-');
+  const monthIndex = ISO_DATE_PATTERN.test(key) ? Number(month) - 1 : MONTH_NAMES.indexOf(month);
+  return monthIndex === -1 || isNaN(Number(year)) ? -1 : Number(year) * 12 + monthIndex;
+};
+
+/**
+ * Whether a distribution key (see getRecordKey) is newer than the one seen before
+ * Ex-dates are compared by day, so each weekly payment is new; a key without an ex-date
+ * (including keys saved before ex-dates were used) is compared by month
+ * @param {string} key - Key of the latest distribution
+ * @param {string} previousKey - Key seen at the last refresh
+ * @returns {boolean} True when key is newer
+ */
+const isNewerDistribution = (key, previousKey) => (
+  ISO_DATE_PATTERN.test(key) && ISO_DATE_PATTERN.test(previousKey)
+    ? key > previousKey
+    : toPeriodIndex(key) > toPeriodIndex(previousKey)
+);
+
+/**
+ * Whether a value moved across a level since the last refresh
+ * @param {number} previous - Value at the last refresh
+ * @param {number} current - Current value
+ * @param {number} level - Level to watch
+ * @returns {string|null} 'above' or 'below' when crossed, otherwise null
+ */
+const getCrossing = (previous, current, level) => {
+  if (typeof previous !== 'number' || !current) return null;
+  if (previous < level && current >= level) return 'above';
+  if (previous > level && current <= level) return 'below';
+  return null;
+};
+
+/**
+ * Evaluates one rule against the current data
+ * @param {Object} rule - Alert rule
+ * @param {Object} snapshot - { currentPrice, annualYield, dividendHistory, today }
+ * @param {Object} ruleState - State from the previous evaluation ({} the first time)
+ * @returns {Object} { alert: { title, body } | null, state }
+ */
+const evaluateRule = (rule, snapshot, ruleState) => {
+  const { currentPrice, annualYield, dividendHistory, today } = snapshot;
+  const threshold = parseFloat(rule.threshold);
+  // Only real distributions count; simulated estimates come and go between refreshes
+  const latest = dividendHistory.find(isConfirmedRecord);
+  const latestKey = latest ? getRecordKey(latest) : null;
+  const notified = ruleState.notified || [];
+
+  switch (rule.type) {
+    case 'newDistribution': {
+      // The first evaluation only records the latest distribution, and later ones alert
+      // when a newer ex-date appears
+      const isNew = latestKey && ruleState.latestKey && isNewerDistribution(latestKey, ruleState.latestKey);
+      return {
+        alert: isNew ? {
+          title: `${rule.symbol} distribution announced`,
+          body: `${latest.month} ${latest.year}: $${latest.dividend.toFixed(4)} per share` +
+            (latest.exDate ? `, ex-date ${latest.exDate}` : '')
+        } : null,
+        state: { latestKey: isNew || !ruleState.latestKey ? latestKey : ruleState.latestKey }
+      };
+    }
+
+    case 'distributionAbove':
+    case 'distributionBelow': {
+      const matches = latest && (rule.type === 'distributionAbove'
+        ? latest.dividend > threshold
+        : latest.dividend < threshold);
+      const alreadyNotified = notified.includes(latestKey);
+      return {
+        alert: matches && !alreadyNotified ? {
+          title: `${rule.symbol} distribution ${rule.type === 'distributionAbove' ? 'above' : 'below'} $${threshold}`,
+          body: `${latest.month} ${latest.year}: $${latest.dividend.toFixed(4)} per share`
+        } : null,
+        state: { notified: matches && !alreadyNotified ? [...notified, latestKey].slice(-24) : notified }
+      };
+    }
+
+    case 'priceCrosses': {
+      const direction = getCrossing(ruleState.lastValue, currentPrice, threshold);
+      return {
+        alert: direction ? {
+          title: `${rule.symbol} crossed ${direction} $${threshold}`,
+          body: `Price is now $${currentPrice.toFixed(2)} (was $${ruleState.lastValue.toFixed(2)})`
+        } : null,
+        state: { lastValue: currentPrice || ruleState.lastValue }
+      };
+    }
+
+    case 'yieldCrosses': {
+      const direction = getCrossing(ruleState.lastValue, annualYield, threshold);
+      return {
+        alert: direction ? {
+          title: `${rule.symbol} yield crossed ${direction} ${threshold}%`,
+          body: `Annual yield is now ${annualYield.toFixed(2)}% (was ${ruleState.lastValue.toFixed(2)}%)`
+        } : null,
+        state: { lastValue: annualYield || ruleState.lastValue }
+      };
+    }
+
+    case 'exDateTomorrow': {
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      const tomorrowIso = toIsoDate(tomorrow);
+      const upcoming = dividendHistory.find(div => div.exDate === tomorrowIso);
+      const alreadyNotified = upcoming && notified.includes(tomorrowIso);
+      return {
+        alert: upcoming && !alreadyNotified ? {
+          title: `${rule.symbol} ex-dividend date is tomorrow`,
+          body: `Buy before ${tomorrowIso} to receive $${upcoming.dividend.toFixed(4)} per share` +
+            (isConfirmedRecord(upcoming) ? '' : ` (${LIFECYCLE_STATUSES[getRecordStatus(upcoming)].label.toLowerCase()})`)
+        } : null,
+        state: { notified: upcoming && !alreadyNotified ? [...notified, tomorrowIso].slice(-24) : notified }
+      };
+    }
+
+    default:
+      return { alert: null, state: ruleState };
+  }
+};
+
+/**
+ * Evaluates the enabled rules for a fund against freshly loaded data
+ * @param {Array} rules - Alert rules
+ * @param {Object} snapshot - { symbol, currentPrice, annualYield, dividendHistory, today }
+ * @param {Object} state - Per-rule state from loadAlertState
+ * @returns {Object} { triggered: [{ rule, title, body }], state }
+ */
+export const evaluateAlertRules = (rules, snapshot, state) => {
+  const triggered = [];
+  const nextState = { ...state };
+  const context = {
+    currentPrice: snapshot.currentPrice || 0,
+    annualYield: snapshot.annualYield || 0,
+    dividendHistory: snapshot.dividendHistory || [],
+    today: snapshot.today || new Date()
+  };
+
+  rules
+    .filter(rule => rule.enabled && rule.symbol === snapshot.symbol)
+    .forEach(rule => {
+      const { alert, state: ruleState } = evaluateRule(rule, context, state[rule.id] || {});
+      nextState[rule.id] = ruleState;
+      if (alert) {
+        triggered.push({ rule, ...alert });
+      }
+    });
+
+  return { triggered, state: nextState };
+};
+
+/**
+ * Current notification permission
+ * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const getNotificationPermission = () => {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+};
+
+/**
+ * Asks the browser for permission to show notifications
+ * @returns {Promise<string>} Resulting permission
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') {
+    return 'unsupported';
+  }
+  return Notification.requestPermission();
+};
+
+/**
+ * Shows a browser notification when permission has been granted
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ * @returns {boolean} True when the notification was shown
+ */
+export const sendNotification = (title, body) => {
+  if (getNotificationPermission() !== 'granted') {
+    return false;
+  }
+  try {
+    new Notification(title, { body, tag: title });
+    return true;
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Error showing notification:', error);
+    return false;
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Backtest Service for MSTY Dashboard
+ *
+ * This service replays a past purchase: every distribution whose ex-date falls after
+ * the purchase date is paid on the shares held at the time and, optionally, reinvested
+ * at the historical close on its ex-date.
+ */
+
+import { findBarOnOrAfter } from './totalReturnService';
+import { isConfirmedRecord } from './dividendLifecycleService';
+
+/**
+ * Replays a purchase through the dividend and price history
+ * Estimated distributions are skipped because they were never paid
+ * @param {Object} options - Backtest options
+ * @param {Array} options.priceHistory - Daily bars sorted oldest first
+ * @param {Array} options.dividendHistory - Dividend records with exDate
+ * @param {string} options.purchaseDate - ISO date of the purchase (bought at that day's close)
+ * @param {number} options.amount - Amount invested ($)
+ * @param {boolean} [options.reinvest=false] - Whether distributions buy more shares
+ * @param {number} [options.currentPrice] - Latest price (defaults to the last close)
+ * @returns {Object|null} Backtest summary, distribution rows and value series, or null without price data
+ */
+export const runBacktest = ({ priceHistory, dividendHistory, purchaseDate, amount, reinvest = false, currentPrice }) => {
+  if (!priceHistory || priceHistory.length === 0 || !(amount > 0)) {
+    return null;
+  }
+
+  const startBar = findBarOnOrAfter(priceHistory, purchaseDate);
+  if (!startBar || !startBar.close) {
+    return null;
+  }
+
+  const lastBar = priceHistory[priceHistory.length - 1];
+  const endPrice = currentPrice > 0 ? currentPrice : lastBar.close;
+  const initialShares = amount / startBar.close;
+
+  // Distributions paid after the purchase, oldest first
+  const distributions = (dividendHistory || [])
+    .filter(div => isConfirmedRecord(div) && div.exDate && div.exDate > startBar.date && div.exDate <= lastBar.date)
+    .sort((a, b) => a.exDate.localeCompare(b.exDate));
+
+  let shares = initialShares;
+  let cashIncome = 0;
+  let totalIncome = 0;
+
+  const rows = distributions.map(div => {
+    const sharesHeld = shares;
+    const income = sharesHeld * div.dividend;
+    totalIncome += income;
+
+    const exBar = findBarOnOrAfter(priceHistory, div.exDate);
+    const reinvestPrice = exBar ? exBar.close : null;
+    let sharesPurchased = 0;
+    if (reinvest && reinvestPrice) {
+      sharesPurchased = income / reinvestPrice;
+      shares += sharesPurchased;
+    } else {
+      cashIncome += income;
+    }
+
+    return {
+      label: `${div.month} ${div.year}`,
+      exDate: div.exDate,
+      dividend: div.dividend,
+      sharesHeld,
+      income,
+      reinvestPrice,
+      sharesPurchased,
+      shares
+    };
+  });
+
+  // Position value plus cash distributions on each trading day since the purchase
+  let rowIndex = 0;
+  let sharesOnDay = initialShares;
+  let cashOnDay = 0;
+  const series = priceHistory
+    .filter(bar => bar.date >= startBar.date)
+    .map(bar => {
+      while (rowIndex < rows.length && rows[rowIndex].exDate <= bar.date) {
+        sharesOnDay = rows[rowIndex].shares;
+        if (rows[rowIndex].sharesPurchased === 0) {
+          cashOnDay += rows[rowIndex].income;
+        }
+        rowIndex++;
+      }
+      const positionValue = sharesOnDay * bar.close;
+      return {
+        date: bar.date,
+        positionValue,
+        cashIncome: cashOnDay,
+        totalValue: positionValue + cashOnDay
+      };
+    });
+
+  const currentValue = shares * endPrice;
+  const endingTotal = currentValue + cashIncome;
+
+  return {
+    purchaseDate: startBar.date,
+    purchasePrice: startBar.close,
+    endPrice,
+    initialShares,
+    finalShares: shares,
+    totalIncome,
+    cashIncome,
+    distributionCount: rows.length,
+    currentValue,
+    endingTotal,
+    totalReturn: ((endingTotal - amount) / amount) * 100,
+    priceReturn: ((endPrice - startBar.close) / startBar.close) * 100,
+    rows,
+    series
+  };
+};
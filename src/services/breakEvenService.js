@@ -0,0 +1,99 @@
+/**
+ * Break-Even Service for MSTY Dashboard
+ *
+ * This service projects a position under an assumed monthly price drift and dividend
+ * path, and finds when distributions plus the remaining position value first exceed
+ * the original investment (break-even), and when distributions alone repay it (payback).
+ */
+
+// How the monthly distribution evolves over the projection
+export const DIVIDEND_PATHS = {
+  constant: {
+    id: 'constant',
+    label: 'Constant amount per share'
+  },
+  priceLinked: {
+    id: 'priceLinked',
+    label: 'Constant yield (moves with price)'
+  },
+  trend: {
+    id: 'trend',
+    label: 'Changes by a fixed % each month'
+  }
+};
+
+/**
+ * Projects cumulative income and position value month by month
+ * Distributions are not reinvested
+ * @param {Object} options - Projection options
+ * @param {number} options.investmentAmount - Amount invested ($)
+ * @param {number} options.startPrice - Purchase price per share
+ * @param {number} options.monthlyDividend - First month's dividend per share
+ * @param {number} [options.monthlyPriceChange=0] - Assumed price change per month (percent)
+ * @param {string} [options.dividendPath='constant'] - Id from DIVIDEND_PATHS
+ * @param {number} [options.monthlyDividendChange=0] - Dividend change per month for the trend path (percent)
+ * @param {number} [options.maxMonths=120] - Projection horizon
+ * @param {Date} [options.startDate] - Date of the first projected month (defaults to today)
+ * @returns {Object|null} { series, breakEvenMonth, paybackMonth, shares }, months are null when not reached
+ */
+export const projectBreakEven = ({
+  investmentAmount,
+  startPrice,
+  monthlyDividend,
+  monthlyPriceChange = 0,
+  dividendPath = 'constant',
+  monthlyDividendChange = 0,
+  maxMonths = 120,
+  startDate = new Date()
+}) => {
+  if (!(investmentAmount > 0) || !(startPrice > 0) || !(monthlyDividend > 0)) {
+    return null;
+  }
+
+  const shares = investmentAmount / startPrice;
+  const priceFactor = 1 + (monthlyPriceChange / 100);
+  const dividendFactor = 1 + (monthlyDividendChange / 100);
+  const startYield = monthlyDividend / startPrice;
+
+  let price = startPrice;
+  let dividend = monthlyDividend;
+  let cumulativeIncome = 0;
+  let breakEvenMonth = null;
+  let paybackMonth = null;
+  const series = [];
+
+  for (let i = 1; i <= maxMonths; i++) {
+    const date = new Date(startDate.getFullYear(), startDate.getMonth() + i - 1, 1);
+
+    // Price moves first, then the month's distribution is paid
+    price = Math.max(0, price * priceFactor);
+    if (dividendPath === 'priceLinked') {
+      dividend = price * startYield;
+    } else if (dividendPath === 'trend' && i > 1) {
+      dividend = Math.max(0, dividend * dividendFactor);
+    }
+
+    cumulativeIncome += shares * dividend;
+    const positionValue = shares * price;
+    const totalValue = cumulativeIncome + positionValue;
+
+    if (breakEvenMonth === null && totalValue >= investmentAmount) {
+      breakEvenMonth = i;
+    }
+    if (paybackMonth === null && cumulativeIncome >= investmentAmount) {
+      paybackMonth = i;
+    }
+
+    series.push({
+      month: i,
+      label: `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`,
+      price,
+      dividend,
+      cumulativeIncome,
+      positionValue,
+      totalValue
+    });
+  }
+
+  return { series, breakEvenMonth, paybackMonth, shares };
+};
@@ -0,0 +1,77 @@
+/**
+ * Cache Service for MSTY Dashboard
+ *
+ * This service persists fetched quotes, dividend history and price history in
+ * localStorage with a time-to-live per resource. Expired entries are kept so the
+ * dashboard can still render from them when offline or when every API fails.
+ */
+
+const CACHE_KEY_PREFIX = 'mstyCache_';
+
+// Time-to-live per resource (milliseconds)
+export const CACHE_TTLS = {
+  quote: 2 * 60 * 1000, // 2 minutes
+  dividends: 12 * 60 * 60 * 1000, // 12 hours
+  priceHistory: 6 * 60 * 60 * 1000 // 6 hours
+};
+
+const getCacheKey = (resource, symbol) => `${CACHE_KEY_PREFIX}${resource}_${symbol}`;
+
+/**
+ * Reads a cached resource, fresh or expired
+ * @param {string} resource - Resource name (quote, dividends, priceHistory)
+ * @param {string} symbol - Fund ticker symbol
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Object|null} { data, fetchedAt, expired }, or null when nothing is cached
+ */
+export const readCache = (resource, symbol, now = new Date()) => {
+  try {
+    const saved = localStorage.getItem(getCacheKey(resource, symbol));
+    if (!saved) return null;
+
+    const entry = JSON.parse(saved);
+    const age = now - new Date(entry.fetchedAt);
+    const ttl = CACHE_TTLS[resource] || 0;
+
+    return { data: entry.data, fetchedAt: entry.fetchedAt, expired: age > ttl };
+  } catch (error) {
+    console.error(`Error reading ${resource} cache:`, error);
+    return null;
+  }
+};
+
+/**
+ * Stores a freshly fetched resource
+ * @param {string} resource - Resource name (quote, dividends, priceHistory)
+ * @param {string} symbol - Fund ticker symbol
+ * @param {*} data - Data to cache (must be JSON serializable)
+ * @param {Date} [fetchedAt] - Fetch time (defaults to now)
+ */
+export const writeCache = (resource, symbol, data, fetchedAt = new Date()) => {
+  try {
+    localStorage.setItem(
+      getCacheKey(resource, symbol),
+      JSON.stringify({ data, fetchedAt: fetchedAt.toISOString() })
+    );
+  } catch (error) {
+    // Storage can be full or disabled; the dashboard still works without the cache
+    console.error(`Error writing ${resource} cache:`, error);
+  }
+};
+
+/**
+ * Fetch time and freshness of a cached resource, without its data
+ * @param {string} resource - Resource name (quote, dividends, priceHistory)
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Object|null} { fetchedAt, expired }
+ */
+export const getCacheInfo = (resource, symbol) => {
+  const entry = readCache(resource, symbol);
+  return entry ? { fetchedAt: entry.fetchedAt, expired: entry.expired } : null;
+};
+
+/**
+ * Whether the browser reports no network connection
+ * @returns {boolean} True when offline
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
@@ -0,0 +1,243 @@
+/**
+ * Calendar Service for MSTY Dashboard
+ *
+ * This service builds an iCalendar (.ics) file with upcoming ex-dividend and payment
+ * dates. Confirmed dates in the dividend history are listed as confirmed (projected and
+ * announced estimates as tentative); dates for the following months are projected from the recent ex-date
+ * pattern and the selected forecast model, and are always tentative.
+ */
+
+import { DEFAULT_FORECAST_MODEL, forecastDividend, getNextForecastPeriod } from './forecastService';
+import { downloadFile } from './exportService';
+import { LIFECYCLE_STATUSES, getRecordStatus, isConfirmedRecord } from './dividendLifecycleService';
+import { MONTH_NAMES, getRecordKey } from './dividendValidationService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when the history has no dates to learn the pattern from
+const DEFAULT_EX_DAY = 6;
+const DEFAULT_PAY_LAG_DAYS = 1;
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Moves a weekend date to the following Monday
+ * @param {Date} date - UTC date
+ * @returns {Date} Weekday date
+ */
+const nextWeekday = (date) => {
+  const day = date.getUTCDay();
+  if (day === 6) return new Date(date.getTime() + 2 * DAY_MS);
+  if (day === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+};
+
+/**
+ * Projects ex-dividend and payment dates for a month from the recent pattern
+ * Uses the median ex-date day of month and the median days from ex-date to payment
+ * @param {Array} historicalDividends - Dividend records, newest first
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month index (0-11)
+ * @returns {Object} { exDate, payDate } as ISO dates
+ */
+export const projectPayoutDates = (historicalDividends, year, monthIndex) => {
+  const recent = (historicalDividends || [])
+    .filter(div => isConfirmedRecord(div) && div.exDate)
+    .slice(0, 3);
+
+  const exDay = recent.length > 0
+    ? Math.round(median(recent.map(div => Number(div.exDate.slice(8, 10)))))
+    : DEFAULT_EX_DAY;
+  const payLags = recent
+    .filter(div => div.payDate)
+    .map(div => Math.round((new Date(div.payDate) - new Date(div.exDate)) / DAY_MS));
+  const payLag = payLags.length > 0 ? Math.round(median(payLags)) : DEFAULT_PAY_LAG_DAYS;
+
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  const exDate = nextWeekday(new Date(Date.UTC(year, monthIndex, Math.min(exDay, daysInMonth))));
+  const payDate = nextWeekday(new Date(exDate.getTime() + payLag * DAY_MS));
+
+  return { exDate: toIsoDate(exDate), payDate: toIsoDate(payDate) };
+};
+
+/**
+ * Upcoming ex-dividend and payment events
+ * @param {Array} dividendHistory - Dividend records, newest first
+ * @param {Object} options - { symbol, shares, modelId, projectedMonths, today }
+ * @returns {Array} Events { uid, date, kind ('ex' | 'pay'), tentative, summary, description }, by date
+ */
+export const buildDistributionEvents = (dividendHistory, {
+  symbol,
+  shares = 0,
+  modelId = DEFAULT_FORECAST_MODEL,
+  projectedMonths = 3,
+  today = new Date()
+} = {}) => {
+  const history = dividendHistory || [];
+  const todayIso = toIsoDate(today);
+
+  // Records already in the history, then projections for the months after the newest one
+  // (or from the current month when the history is older than that)
+  // Only authoritative (confirmed or revised) records are listed as confirmed events
+  const distributions = history.map(div => {
+    const lifecycle = LIFECYCLE_STATUSES[getRecordStatus(div)];
+    return { ...div, status: lifecycle.label, tentative: !lifecycle.authoritative };
+  });
+
+  let period = getNextForecastPeriod(history);
+  if (period && period.year * 12 + MONTH_NAMES.indexOf(period.month) < today.getFullYear() * 12 + today.getMonth()) {
+    period = { month: MONTH_NAMES[today.getMonth()], year: today.getFullYear() };
+  }
+  for (let i = 0; period && i < projectedMonths; i++) {
+    const monthIndex = MONTH_NAMES.indexOf(period.month);
+    const forecast = forecastDividend(history, modelId, period);
+    if (forecast) {
+      distributions.push({
+        month: period.month,
+        year: period.year,
+        dividend: parseFloat(forecast.estimate.toFixed(4)),
+        ...projectPayoutDates(history, period.year, monthIndex),
+        status: 'Projected',
+        tentative: true
+      });
+    }
+    const next = new Date(period.year, monthIndex + 1, 1);
+    period = { month: MONTH_NAMES[next.getMonth()], year: next.getFullYear() };
+  }
+
+  const events = [];
+  distributions.forEach(div => {
+    const perShare = `$${div.dividend.toFixed(4)} per share`;
+    const position = shares > 0
+      ? `Expected for ${shares.toFixed(2)} shares: $${(div.dividend * shares).toFixed(2)}`
+      : 'No position entered';
+    const status = div.tentative ? `${div.status} (tentative)` : div.status;
+    // Keyed by ex-date so funds paying more than once a month get one event per payment
+    const uid = `${symbol}-${getRecordKey(div)}`;
+
+    if (div.exDate && div.exDate >= todayIso) {
+      events.push({
+        uid: `${uid}-ex`,
+        date: div.exDate,
+        kind: 'ex',
+        tentative: div.tentative,
+        summary: `${symbol} ex-dividend (${perShare})`,
+        description: [
+          `${symbol} ${div.month} ${div.year} distribution: ${perShare}`,
+          position,
+          `Status: ${status}`,
+          'Shares must be bought before this date to receive the distribution.'
+        ].join('\n')
+      });
+    }
+
+    if (div.payDate && div.payDate >= todayIso) {
+      events.push({
+        uid: `${uid}-pay`,
+        date: div.payDate,
+        kind: 'pay',
+        tentative: div.tentative,
+        summary: `${symbol} distribution payment (${perShare})`,
+        description: [
+          `${symbol} ${div.month} ${div.year} distribution: ${perShare}`,
+          position,
+          `Status: ${status}`
+        ].join('\n')
+      });
+    }
+  });
+
+  return events.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Escapes text for an iCalendar property value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeIcsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 characters as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ' ' + rest.slice(75);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Builds an iCalendar document with one all-day event per date
+ * @param {Array} events - Events from buildDistributionEvents
+ * @param {Object} options - { symbol, now }
+ * @returns {string} .ics content
+ */
+export const toIcsCalendar = (events, { symbol, now = new Date() } = {}) => {
+  const stamp = toIcsTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MSTY Dividend Dashboard//Distribution Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(`${symbol} Distributions`)}`
+  ];
+
+  events.forEach(event => {
+    const start = new Date(`${event.date}T00:00:00Z`);
+    const end = toIsoDate(new Date(start.getTime() + DAY_MS));
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@msty-dividend-dashboard`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(end)}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `STATUS:${event.tentative ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Downloads the upcoming distribution calendar
+ * @param {Array} dividendHistory - Dividend records, newest first
+ * @param {Object} options - Options for buildDistributionEvents
+ * @returns {number} Number of events written
+ */
+export const exportDistributionCalendar = (dividendHistory, options) => {
+  const events = buildDistributionEvents(dividendHistory, options);
+  const date = toIsoDate(new Date());
+  downloadFile(
+    toIcsCalendar(events, { symbol: options.symbol }),
+    `${options.symbol.toLowerCase()}-distributions-${date}.ics`,
+    'ics'
+  );
+  return events.length;
+};
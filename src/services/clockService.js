@@ -0,0 +1,64 @@
+/**
+ * Clock Service for MSTY Dashboard
+ *
+ * This service provides the clocks and random number generators injected into the
+ * auto-update logic, so it can be replayed for any date and repeated exactly.
+ */
+
+/**
+ * Clock reading the system time
+ * @returns {Date} Current time
+ */
+export const systemClock = () => new Date();
+
+/**
+ * Clock stopped at a given time
+ * @param {Date|string} time - Time the clock always returns
+ * @returns {Function} Clock returning a fresh copy of that time on every call
+ */
+export const createFixedClock = (time) => {
+  const fixed = new Date(time).getTime();
+  return () => new Date(fixed);
+};
+
+/**
+ * Local noon on a calendar date, so the day cannot shift across time zones
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {Date|null} Date, or null when invalid
+ */
+export const parseLocalDate = (isoDate) => {
+  const match = String(isoDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 12);
+  return date.getDate() === Number(match[3]) ? date : null;
+};
+
+/**
+ * 32-bit seed from any text (FNV-1a hash)
+ * @param {string} text - Seed text, e.g. a date
+ * @returns {number} Unsigned 32-bit seed
+ */
+export const hashSeed = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Seeded random number generator (mulberry32), a drop-in for Math.random
+ * @param {number|string} seed - Number, or text hashed with hashSeed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
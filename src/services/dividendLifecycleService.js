@@ -0,0 +1,205 @@
+/**
+ * Dividend Lifecycle Service for MSTY Dashboard
+ *
+ * This service gives every distribution a lifecycle status (projected, announced,
+ * confirmed, revised) with the source and time of each version. Versions are kept per
+ * fund in localStorage, and reconciliation lets authoritative data supersede estimates
+ * while keeping the earlier versions as the record's lineage. The status replaces the
+ * old estimated/announced/updated flags: consumers ask isConfirmedRecord instead.
+ */
+
+const STORAGE_KEY_PREFIX = 'mstyDividendLineage_';
+
+export const LIFECYCLE_STATUSES = {
+  projected: { label: 'Projected', rank: 0, authoritative: false },
+  announced: { label: 'Announced', rank: 1, authoritative: false },
+  confirmed: { label: 'Confirmed', rank: 2, authoritative: true },
+  revised: { label: 'Revised', rank: 2, authoritative: true }
+};
+
+// Fields stored for each version of a record
+const VERSION_FIELDS = ['month', 'year', 'dividend', 'yield', 'exDate', 'payDate', 'rocPercent', 'source'];
+
+const getMonthKey = (record) => `${record.year}-${record.month}`;
+
+/**
+ * Lifecycle status of a record as it arrives, before reconciliation
+ * Estimator output is projected (or announced when it says so); every other source is confirmed
+ * @param {Object} record - Canonical dividend record
+ * @returns {string} Key of LIFECYCLE_STATUSES
+ */
+export const getIncomingStatus = (record) => {
+  if (record.source !== 'estimator') return 'confirmed';
+  return record.status === 'announced' ? 'announced' : 'projected';
+};
+
+/**
+ * Lifecycle status of a record, reconciled or not
+ * @param {Object} record - Dividend record
+ * @returns {string} Key of LIFECYCLE_STATUSES
+ */
+export const getRecordStatus = (record) => (
+  LIFECYCLE_STATUSES[record.status] ? record.status : getIncomingStatus(record)
+);
+
+/**
+ * Whether a record is authoritative (confirmed or revised) rather than an estimate
+ * @param {Object} record - Dividend record
+ * @returns {boolean} True for confirmed and revised records
+ */
+export const isConfirmedRecord = (record) => LIFECYCLE_STATUSES[getRecordStatus(record)].authoritative;
+
+/**
+ * Key of a record's versions
+ * Authoritative records are kept per ex-date, so funds paying weekly keep every distribution
+ * in a month apart; estimates are made per month and are kept per month
+ * @param {Object} record - Canonical dividend record
+ * @returns {string} Ex-date, or "year-month"
+ */
+const getLineageKey = (record) => (
+  getIncomingStatus(record) === 'confirmed' && record.exDate ? record.exDate : getMonthKey(record)
+);
+
+/**
+ * Snapshot of a record as one version in its lineage
+ * @param {Object} record - Canonical dividend record
+ * @param {string} status - Key of LIFECYCLE_STATUSES
+ * @param {string} recordedAt - ISO timestamp
+ * @returns {Object} Version
+ */
+const toVersion = (record, status, recordedAt) => {
+  const version = { status, recordedAt };
+  VERSION_FIELDS.forEach(field => {
+    if (record[field] !== undefined) version[field] = record[field];
+  });
+  return version;
+};
+
+const hasSameValues = (a, b) => (
+  a.dividend === b.dividend && a.exDate === b.exDate && (a.payDate || null) === (b.payDate || null)
+);
+
+/**
+ * Loads the stored versions for a fund
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Object} Versions (oldest first) keyed by ex-date, or "year-month" for estimates
+ */
+export const loadDividendLineage = (symbol) => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY_PREFIX + symbol);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error loading dividend lineage:', error);
+    return {};
+  }
+};
+
+/**
+ * Saves the stored versions for a fund
+ * @param {string} symbol - Fund ticker symbol
+ * @param {Object} lineage - Versions keyed by ex-date, or "year-month" for estimates
+ */
+export const saveDividendLineage = (symbol, lineage) => {
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFIX + symbol, JSON.stringify(lineage));
+  } catch (error) {
+    console.error('Error saving dividend lineage:', error);
+  }
+};
+
+/**
+ * Decides the versions of one distribution after a new record arrives
+ * - Authoritative data supersedes projected or announced versions
+ * - A changed authoritative value is added as a revision
+ * - Estimates never replace authoritative versions. A later stage (projected to announced)
+ *   is added; a new amount at the same stage (e.g. another forecast model) replaces the
+ *   latest version, and otherwise the stored estimate stays as it was
+ * @param {Array} versions - Stored versions, oldest first
+ * @param {Object} record - Incoming canonical record
+ * @param {string} recordedAt - ISO timestamp for a new version
+ * @returns {Array} Versions after reconciliation, oldest first
+ */
+export const reconcileVersions = (versions, record, recordedAt) => {
+  const status = getIncomingStatus(record);
+  const latest = versions[versions.length - 1];
+
+  if (!latest) {
+    return [toVersion(record, status, recordedAt)];
+  }
+
+  const latestInfo = LIFECYCLE_STATUSES[latest.status] || LIFECYCLE_STATUSES.projected;
+  const incomingInfo = LIFECYCLE_STATUSES[status];
+
+  if (incomingInfo.authoritative) {
+    if (!latestInfo.authoritative) {
+      return [...versions, toVersion(record, 'confirmed', recordedAt)];
+    }
+    return hasSameValues(latest, record)
+      ? versions
+      : [...versions, toVersion(record, 'revised', recordedAt)];
+  }
+
+  if (latestInfo.authoritative || incomingInfo.rank < latestInfo.rank) {
+    return versions;
+  }
+  if (incomingInfo.rank === latestInfo.rank) {
+    return latest.dividend === record.dividend
+      ? versions
+      : [...versions.slice(0, -1), toVersion(record, status, recordedAt)];
+  }
+  return [...versions, toVersion(record, status, recordedAt)];
+};
+
+/**
+ * Reconciles a loaded history against the stored versions and saves the result
+ * Each distribution is represented by its latest version, with the earlier versions as lineage.
+ * The first confirmed record of a month takes over that month's estimates, so they become
+ * its lineage (as do versions saved per month for the same ex-date)
+ * @param {string} symbol - Fund ticker symbol
+ * @param {Array} records - Canonical records from all sources (estimates included)
+ * @param {Date} [now] - Time recorded for new versions (defaults to now)
+ * @returns {Array} Records with status, recordedAt and lineage (earlier versions, oldest first)
+ */
+export const reconcileDividendHistory = (symbol, records, now = new Date()) => {
+  const stored = loadDividendLineage(symbol);
+  const recordedAt = now.toISOString();
+  const lineage = { ...stored };
+
+  const reconciled = (records || []).map(record => {
+    const key = getLineageKey(record);
+    const monthKey = getMonthKey(record);
+    let previous = lineage[key] || [];
+
+    if (!lineage[key] && key !== monthKey && lineage[monthKey]) {
+      const monthVersions = lineage[monthKey];
+      const monthLatest = monthVersions[monthVersions.length - 1];
+      const monthInfo = LIFECYCLE_STATUSES[monthLatest.status] || LIFECYCLE_STATUSES.projected;
+      if (!monthInfo.authoritative || monthLatest.exDate === record.exDate) {
+        previous = monthVersions;
+        delete lineage[monthKey];
+      }
+    }
+
+    const versions = reconcileVersions(previous, record, recordedAt);
+    lineage[key] = versions;
+
+    const { status, recordedAt: versionRecordedAt, ...fields } = versions[versions.length - 1];
+    return {
+      ...fields,
+      status,
+      recordedAt: versionRecordedAt,
+      lineage: versions.slice(0, -1)
+    };
+  });
+
+  saveDividendLineage(symbol, lineage);
+  return reconciled;
+};
+
+/**
+ * Removes every stored version for a fund
+ * @param {string} symbol - Fund ticker symbol
+ */
+export const clearDividendLineage = (symbol) => {
+  localStorage.removeItem(STORAGE_KEY_PREFIX + symbol);
+};
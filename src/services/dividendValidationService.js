@@ -0,0 +1,255 @@
+/**
+ * Dividend Validation Service for MSTY Dashboard
+ *
+ * This service checks dividend records from every source (static fallback, API, cache,
+ * imports and the estimator) against one schema. Records are normalized to a canonical
+ * shape; rows that cannot be used are rejected and fixable problems are flagged, each
+ * with a reason. The latest issues per fund are kept for the data-quality panel.
+ */
+
+import { LIFECYCLE_STATUSES } from './dividendLifecycleService';
+
+export const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+export const RECORD_SOURCES = {
+  fallback: 'Static fallback',
+  api: 'Dividend API',
+  cache: 'Cache',
+  import: 'Imported file',
+  estimator: 'Estimator',
+  history: 'Merged history'
+};
+
+// Latest issues per fund and source, replaced each time a source is validated
+const validationReports = {};
+
+/**
+ * Month index for a month name
+ * @param {string} monthName - Short or full month name, any case
+ * @returns {number} 0-11, or -1 for an unknown month
+ */
+export const getMonthIndex = (monthName) => {
+  const prefix = String(monthName || '').trim().slice(0, 3).toLowerCase();
+  return MONTH_NAMES.findIndex(name => name.toLowerCase() === prefix);
+};
+
+/**
+ * Checks a YYYY-MM-DD string is a real calendar date
+ * @param {*} value - Candidate date
+ * @returns {boolean} Whether the value is a valid ISO date
+ */
+const isIsoDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+};
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+/**
+ * Normalizes one record to the canonical shape
+ * Canonical: { month, year, dividend, yield, exDate, payDate, rocPercent?, source, ...status flags }
+ * The ex-date decides the month and year when both are present. The yield is null when it is
+ * not known (e.g. no price at the ex-date), rather than a guess.
+ * @param {Object} raw - Record as received
+ * @param {string} source - Key of RECORD_SOURCES
+ * @returns {Object} { record (null when rejected), issues: [{ severity: 'error' | 'warning', message }] }
+ */
+export const normalizeDividendRecord = (raw, source) => {
+  const issues = [];
+  const reject = (message) => ({ record: null, issues: [...issues, { severity: 'error', message }] });
+  const flag = (message) => issues.push({ severity: 'warning', message });
+
+  if (!raw || typeof raw !== 'object') {
+    return reject('Record is not an object');
+  }
+
+  const dividend = toNumber(raw.dividend);
+  if (typeof dividend !== 'number' || !isFinite(dividend) || dividend <= 0) {
+    return reject(`Invalid dividend amount "${raw.dividend === undefined ? '' : raw.dividend}"`);
+  }
+
+  let exDate = raw.exDate || null;
+  if (exDate && !isIsoDate(exDate)) {
+    flag(`Invalid ex-date "${exDate}" was dropped`);
+    exDate = null;
+  }
+
+  const labelMonth = getMonthIndex(raw.month);
+  const labelYear = Number(raw.year);
+  const hasLabel = labelMonth !== -1 && Number.isInteger(labelYear) && labelYear > 1900;
+
+  let month;
+  let year;
+  if (exDate) {
+    month = MONTH_NAMES[Number(exDate.slice(5, 7)) - 1];
+    year = Number(exDate.slice(0, 4));
+    if (hasLabel && (labelMonth !== MONTH_NAMES.indexOf(month) || labelYear !== year)) {
+      flag(`Labelled ${raw.month} ${raw.year} but the ex-date is ${exDate}; relabelled ${month} ${year}`);
+    } else if (!hasLabel) {
+      flag(`Missing or unknown month "${raw.month || ''} ${raw.year || ''}"; taken from the ex-date`);
+    }
+  } else if (hasLabel) {
+    month = MONTH_NAMES[labelMonth];
+    year = labelYear;
+    flag('Missing ex-date');
+  } else {
+    return reject(`Unknown month "${raw.month || ''}" and no ex-date to date the record`);
+  }
+
+  let payDate = raw.payDate || null;
+  if (payDate && !isIsoDate(payDate)) {
+    flag(`Invalid pay date "${payDate}" was dropped`);
+    payDate = null;
+  } else if (payDate && exDate && payDate < exDate) {
+    flag(`Pay date ${payDate} is before ex-date ${exDate}; pay date dropped`);
+    payDate = null;
+  }
+
+  let dividendYield = toNumber(raw.yield);
+  if (dividendYield === undefined || dividendYield === null) {
+    flag('No yield: no price was available at the ex-date');
+    dividendYield = null;
+  } else if (typeof dividendYield !== 'number' || !isFinite(dividendYield) || dividendYield < 0) {
+    flag(`Invalid reported yield "${raw.yield}" was dropped`);
+    dividendYield = null;
+  }
+
+  const record = {
+    month,
+    year,
+    dividend,
+    yield: dividendYield,
+    exDate,
+    payDate,
+    source: raw.source || source
+  };
+
+  if (raw.rocPercent !== undefined && raw.rocPercent !== null) {
+    const rocPercent = toNumber(raw.rocPercent);
+    if (typeof rocPercent === 'number' && rocPercent >= 0 && rocPercent <= 100) {
+      record.rocPercent = rocPercent;
+    } else {
+      flag(`Return of capital "${raw.rocPercent}" is outside 0-100 and was dropped`);
+    }
+  }
+
+  // Estimator output says whether it is projected or announced
+  if (LIFECYCLE_STATUSES[raw.status]) {
+    record.status = raw.status;
+  }
+
+  return { record, issues };
+};
+
+/**
+ * Identity of a distribution: its ex-date, or its month when it has none
+ * Funds paying weekly have several distributions a month, so the month alone is not unique
+ * @param {Object} record - Canonical record
+ * @returns {string} Ex-date, or "year-month" for records without one
+ */
+export const getRecordKey = (record) => record.exDate || `${record.year}-${record.month}`;
+
+/**
+ * Validates a batch of records from one source
+ * Later records for an ex-date (or, without one, a month) already seen in the batch are
+ * rejected as duplicates
+ * @param {Array} records - Records as received
+ * @param {string} source - Key of RECORD_SOURCES
+ * @returns {Object} { records: canonical records kept, issues: [{ source, label, severity, message }] }
+ */
+export const validateDividendRecords = (records, source) => {
+  const kept = [];
+  const issues = [];
+  const seenKeys = new Set();
+
+  (Array.isArray(records) ? records : []).forEach((raw, index) => {
+    const fallbackLabel = raw && raw.month ? `${raw.month} ${raw.year}` : `Record ${index + 1}`;
+    const { record, issues: recordIssues } = normalizeDividendRecord(raw, source);
+    const label = record ? `${record.month} ${record.year}` : fallbackLabel;
+
+    recordIssues.forEach(issue => issues.push({ source, label, ...issue }));
+    if (!record) return;
+
+    const key = getRecordKey(record);
+    if (seenKeys.has(key)) {
+      const what = record.exDate ? `ex-date ${record.exDate}` : label;
+      issues.push({ source, label, severity: 'error', message: `Duplicate distribution for ${what}; the first one was kept` });
+      return;
+    }
+    seenKeys.add(key);
+    kept.push(record);
+  });
+
+  if (!Array.isArray(records)) {
+    issues.push({ source, label: '-', severity: 'error', message: 'Expected a list of dividend records' });
+  }
+
+  return { records: kept, issues };
+};
+
+/**
+ * Cross-record checks on the final, merged history (estimates included)
+ * @param {Array} history - Canonical records, any order
+ * @returns {Array} Issues: { source: 'history', label, severity, message }
+ */
+export const auditDividendHistory = (history) => {
+  const issues = [];
+  const byExDate = new Map();
+
+  (history || []).forEach(record => {
+    if (!record.exDate) return;
+    const label = `${record.month} ${record.year}`;
+    if (byExDate.has(record.exDate)) {
+      issues.push({
+        source: 'history',
+        label,
+        severity: 'warning',
+        message: `Shares ex-date ${record.exDate} with ${byExDate.get(record.exDate)}`
+      });
+    } else {
+      byExDate.set(record.exDate, label);
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Stores the latest issues for one fund and source
+ * @param {string} symbol - Fund ticker symbol
+ * @param {string} source - Key of RECORD_SOURCES
+ * @param {Array} issues - From validateDividendRecords
+ */
+export const recordValidationIssues = (symbol, source, issues) => {
+  validationReports[symbol] = { ...(validationReports[symbol] || {}), [source]: issues };
+};
+
+/**
+ * Forgets the stored issues for a fund, before its sources are loaded again
+ * @param {string} symbol - Fund ticker symbol
+ */
+export const clearValidationIssues = (symbol) => {
+  delete validationReports[symbol];
+};
+
+/**
+ * Latest issues recorded for a fund, across all sources
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Array} Issues: { source, label, severity, message }
+ */
+export const getValidationIssues = (symbol) => {
+  const report = validationReports[symbol] || {};
+  return Object.keys(report).reduce((all, source) => [...all, ...report[source]], []);
+};
+
+/**
+ * Sorts records newest first by year and month, then by ex-date within a month
+ * @param {Array} records - Canonical records
+ * @returns {Array} The same array, sorted
+ */
+export const sortDividendRecords = (records) => records.sort((a, b) => (
+  (b.year - a.year) ||
+  (getMonthIndex(b.month) - getMonthIndex(a.month)) ||
+  (b.exDate || '').localeCompare(a.exDate || '')
+));
@@ -0,0 +1,90 @@
+/**
+ * Dividend Reinvestment (DRIP) Service for MSTY Dashboard
+ *
+ * This service projects a position month by month when distributions are reinvested
+ */
+
+/**
+ * Projects share count, income and position value over a monthly horizon
+ * Each distribution buys more shares at the assumed price for that month
+ * @param {Object} options - Projection options
+ * @param {number} options.initialShares - Shares held at the start of the projection
+ * @param {number} options.startPrice - Share price at the start of the projection
+ * @param {number} options.monthlyDividend - Dividend per share paid each month
+ * @param {number} options.months - Projection horizon in months
+ * @param {number} [options.monthlyPriceChange=0] - Assumed price change per month (percent)
+ * @param {boolean} [options.reinvest=true] - Whether distributions are reinvested
+ * @param {Date} [options.startDate] - Date of the first projected month (defaults to today)
+ * @returns {Array} Monthly projection rows
+ */
+export const projectDividendReinvestment = ({
+  initialShares,
+  startPrice,
+  monthlyDividend,
+  months,
+  monthlyPriceChange = 0,
+  reinvest = true,
+  startDate = new Date()
+}) => {
+  if (!initialShares || !startPrice || !months) {
+    return [];
+  }
+
+  const driftFactor = 1 + (monthlyPriceChange / 100);
+  let shares = initialShares;
+  let price = startPrice;
+  let cumulativeIncome = 0;
+  const projection = [];
+
+  for (let i = 0; i < months; i++) {
+    const date = new Date(startDate.getFullYear(), startDate.getMonth() + i, 1);
+
+    // Price moves first, then the distribution is paid on the shares held
+    price = price * driftFactor;
+    const income = shares * monthlyDividend;
+    cumulativeIncome += income;
+
+    // Reinvested income buys shares at this month's assumed price
+    const sharesPurchased = reinvest && price > 0 ? income / price : 0;
+    shares += sharesPurchased;
+
+    projection.push({
+      month: i + 1,
+      label: `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`,
+      price,
+      income,
+      sharesPurchased,
+      shares,
+      positionValue: shares * price,
+      cumulativeIncome
+    });
+  }
+
+  return projection;
+};
+
+/**
+ * Summarizes a DRIP projection for the calculator cards
+ * @param {Array} projection - Rows from projectDividendReinvestment
+ * @returns {Object|null} Final share count, value, total income and final-year income
+ */
+export const summarizeDripProjection = (projection) => {
+  if (!projection || projection.length === 0) {
+    return null;
+  }
+
+  const last = projection[projection.length - 1];
+
+  // Income over the last 12 projected months (or the whole horizon if shorter)
+  const finalYear = projection.slice(-12);
+  const finalYearIncome = finalYear.reduce((sum, row) => sum + row.income, 0);
+
+  return {
+    finalShares: last.shares,
+    finalPrice: last.price,
+    finalValue: last.positionValue,
+    totalIncome: last.cumulativeIncome,
+    finalYearIncome,
+    finalMonthlyIncome: last.income
+  };
+};
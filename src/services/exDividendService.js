@@ -0,0 +1,98 @@
+/**
+ * Ex-Dividend Drop Service for MSTY Dashboard
+ *
+ * This service measures how far the price falls on each ex-dividend date compared to
+ * the distribution paid, and how many days it takes to get back to the prior close.
+ */
+
+import { isConfirmedRecord } from './dividendLifecycleService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const average = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+/**
+ * Price behaviour around each ex-dividend date
+ * Estimated distributions and ex-dates without surrounding price data are skipped
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @param {Array} dividendHistory - Dividend records with exDate
+ * @returns {Array} Events, newest first: { label, exDate, dividend, closeBefore, exOpen, exClose,
+ *   openDrop, closeDrop, openDropPercentOfDividend, closeDropPercentOfDividend, recoveryDate, recoveryDays }
+ */
+export const analyzeExDividendDrops = (priceHistory, dividendHistory) => {
+  const bars = priceHistory || [];
+  if (bars.length === 0) return [];
+
+  return (dividendHistory || [])
+    .filter(div => isConfirmedRecord(div) && div.exDate && div.dividend > 0)
+    .map(div => {
+      const exIndex = bars.findIndex(bar => bar.date >= div.exDate);
+      if (exIndex < 1) return null;
+
+      const before = bars[exIndex - 1];
+      const exBar = bars[exIndex];
+      const openDrop = typeof exBar.open === 'number' ? before.close - exBar.open : null;
+      const closeDrop = before.close - exBar.close;
+
+      // First close at or above the pre-ex-date close, counting the ex-date itself
+      let recoveryDate = null;
+      for (let i = exIndex; i < bars.length; i++) {
+        if (bars[i].close >= before.close) {
+          recoveryDate = bars[i].date;
+          break;
+        }
+      }
+
+      return {
+        label: `${div.month} ${div.year}`,
+        exDate: div.exDate,
+        dividend: div.dividend,
+        closeBefore: before.close,
+        exOpen: typeof exBar.open === 'number' ? exBar.open : null,
+        exClose: exBar.close,
+        openDrop,
+        closeDrop,
+        openDropPercentOfDividend: openDrop === null ? null : (openDrop / div.dividend) * 100,
+        closeDropPercentOfDividend: (closeDrop / div.dividend) * 100,
+        recoveryDate,
+        recoveryDays: recoveryDate
+          ? Math.round((new Date(recoveryDate) - new Date(div.exDate)) / DAY_MS)
+          : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.exDate.localeCompare(a.exDate));
+};
+
+/**
+ * Summary statistics across ex-dividend events
+ * @param {Array} events - From analyzeExDividendDrops
+ * @returns {Object|null} Averages and medians of the drops and recovery times, or null without events
+ */
+export const summarizeExDividendDrops = (events) => {
+  if (!events || events.length === 0) return null;
+
+  const openDrops = events.map(event => event.openDropPercentOfDividend).filter(value => value !== null);
+  const closeDrops = events.map(event => event.closeDropPercentOfDividend);
+  const recoveries = events.map(event => event.recoveryDays).filter(value => value !== null);
+
+  return {
+    eventCount: events.length,
+    averageOpenDropPercent: average(openDrops),
+    medianOpenDropPercent: median(openDrops),
+    averageCloseDropPercent: average(closeDrops),
+    medianCloseDropPercent: median(closeDrops),
+    recoveredCount: recoveries.length,
+    unrecoveredCount: events.length - recoveries.length,
+    averageRecoveryDays: average(recoveries),
+    medianRecoveryDays: median(recoveries),
+    longestRecoveryDays: recoveries.length > 0 ? Math.max(...recoveries) : null
+  };
+};
@@ -0,0 +1,362 @@
+/**
+ * Export Service for MSTY Dashboard
+ *
+ * This service turns tabular data sets into CSV, JSON or XLSX files and downloads them.
+ * The XLSX writer is a minimal single-sheet workbook packed in an uncompressed ZIP,
+ * so no spreadsheet library is needed.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+/**
+ * Reads a column value from a row
+ * @param {Object} row - Data row
+ * @param {Object} column - { key, label, value? } where value(row) overrides row[key]
+ * @returns {*} Cell value
+ */
+const getCellValue = (row, column) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Builds CSV text with a header row
+ * @param {Array} rows - Data rows
+ * @param {Array} columns - Column definitions
+ * @returns {string} CSV content
+ */
+export const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    columns.map(column => escape(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escape(getCellValue(row, column))).join(','))
+  ];
+  return lines.join('\r\n');
+};
+
+/**
+ * Builds JSON text with one object per row, keyed by column key
+ * @param {Array} rows - Data rows
+ * @param {Array} columns - Column definitions
+ * @returns {string} JSON content
+ */
+export const toJson = (rows, columns) => {
+  const objects = rows.map(row => {
+    const item = {};
+    columns.forEach(column => {
+      item[column.key] = getCellValue(row, column);
+    });
+    return item;
+  });
+  return JSON.stringify(objects, null, 2);
+};
+
+// CRC-32 lookup table for the ZIP container
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Packs files into an uncompressed (stored) ZIP archive
+ * @param {Array} files - [{ name, content }] with string content
+ * @returns {Uint8Array} ZIP bytes
+ */
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored (no compression)
+    local.setUint16(10, 0, true); // Time
+    local.setUint16(12, 0x21, true); // Date (1980-01-01)
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, 0, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // Local header offset
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Column letters: 0 -> A, 25 -> Z, 26 -> AA
+const columnLetter = (index) => {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+};
+
+/**
+ * Builds one worksheet cell
+ * Numbers (and numeric strings) are written as numbers, booleans as booleans
+ * @param {*} value - Cell value
+ * @param {string} ref - Cell reference (e.g. "B2")
+ * @returns {string} Cell XML
+ */
+const toCellXml = (value, ref) => {
+  if (value === null || value === '') return '';
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * Builds a single-sheet XLSX workbook
+ * @param {Array} rows - Data rows
+ * @param {Array} columns - Column definitions
+ * @param {string} [sheetName] - Worksheet name
+ * @returns {Uint8Array} XLSX bytes
+ */
+export const toXlsx = (rows, columns, sheetName = 'Data') => {
+  const sheetRows = [
+    columns.map(column => column.label),
+    ...rows.map(row => columns.map(column => getCellValue(row, column)))
+  ];
+
+  const sheetData = sheetRows.map((cells, rowIndex) => {
+    const cellXml = cells.map((value, colIndex) => toCellXml(value, `${columnLetter(colIndex)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cellXml}</row>`;
+  }).join('');
+
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetData}</sheetData>` +
+        '</worksheet>'
+    }
+  ]);
+};
+
+const MIME_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ics: 'text/calendar;charset=utf-8'
+};
+
+/**
+ * Triggers a browser download
+ * @param {string|Uint8Array} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} format - File extension used to pick the MIME type
+ */
+export const downloadFile = (content, fileName, format) => {
+  const blob = new Blob([content], { type: MIME_TYPES[format] || 'application/octet-stream' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports a data set in the chosen format and downloads it
+ * @param {Object} dataset - { id, label, rows, columns }
+ * @param {string} format - csv, json or xlsx
+ * @param {string} [filePrefix] - Prefix for the file name (e.g. the fund symbol)
+ */
+export const exportDataset = (dataset, format, filePrefix = 'msty') => {
+  const date = new Date().toISOString().split('T')[0];
+  const fileName = `${filePrefix.toLowerCase()}-${dataset.id}-${date}.${format}`;
+
+  let content;
+  if (format === 'csv') {
+    content = toCsv(dataset.rows, dataset.columns);
+  } else if (format === 'json') {
+    content = toJson(dataset.rows, dataset.columns);
+  } else if (format === 'xlsx') {
+    content = toXlsx(dataset.rows, dataset.columns, dataset.label);
+  } else {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  downloadFile(content, fileName, format);
+};
+
+const DIVIDEND_COLUMNS = [
+  { key: 'month', label: 'Month' },
+  { key: 'year', label: 'Year' },
+  { key: 'dividend', label: 'Dividend Per Share' },
+  { key: 'yield', label: 'Yield %' },
+  { key: 'exDate', label: 'Ex-Dividend Date' },
+  { key: 'payDate', label: 'Payment Date' },
+  { key: 'rocPercent', label: 'Return of Capital %' },
+  { key: 'status', label: 'Status' },
+  { key: 'source', label: 'Source' },
+  { key: 'recordedAt', label: 'Recorded At' }
+];
+
+const RETURN_COLUMNS = [
+  { key: 'label', label: 'Month' },
+  { key: 'dividend', label: 'Dividend Per Share' },
+  { key: 'return', label: 'Income' },
+  { key: 'afterTaxReturn', label: 'After-Tax Income' },
+  { key: 'status', label: 'Status' },
+  { key: 'isProjected', label: 'Projected', value: row => Boolean(row.isProjected) }
+];
+
+const SCENARIO_COLUMNS = [
+  { key: 'scenarioName', label: 'Scenario' },
+  { key: 'isCustomScenario', label: 'Custom Dividend', value: row => Boolean(row.isCustomScenario) },
+  { key: 'investmentAmount', label: 'Investment Amount' },
+  { key: 'sharePrice', label: 'Share Price' },
+  { key: 'sharesOwned', label: 'Shares' },
+  { key: 'expectedMonthlyDividend', label: 'Expected Monthly Income' },
+  { key: 'expectedAnnualDividend', label: 'Expected Annual Income' },
+  { key: 'expectedMonthlyAfterTax', label: 'Expected Monthly After-Tax' },
+  { key: 'expectedAnnualAfterTax', label: 'Expected Annual After-Tax' },
+  { key: 'expectedAnnualYieldPercentage', label: 'Expected Annual Yield %' },
+  { key: 'historicalReturn', label: 'Last 12 Months Income' }
+];
+
+const DRIP_COLUMNS = [
+  { key: 'label', label: 'Month' },
+  { key: 'price', label: 'Price' },
+  { key: 'income', label: 'Income' },
+  { key: 'sharesPurchased', label: 'Shares Purchased' },
+  { key: 'shares', label: 'Shares' },
+  { key: 'positionValue', label: 'Position Value' },
+  { key: 'cumulativeIncome', label: 'Cumulative Income' }
+];
+
+/**
+ * Data sets available for export from the dashboard
+ * @param {Object} params - { dividendHistory, calculatedResults, investmentAmount }
+ * @returns {Array} [{ id, label, rows, columns }], empty data sets omitted
+ */
+export const buildExportDatasets = ({ dividendHistory, calculatedResults, investmentAmount }) => {
+  const datasets = [
+    { id: 'dividend-history', label: 'Dividend History', rows: dividendHistory || [], columns: DIVIDEND_COLUMNS }
+  ];
+
+  if (calculatedResults) {
+    datasets.push(
+      { id: 'monthly-returns', label: 'Monthly Returns', rows: calculatedResults.monthlyReturns, columns: RETURN_COLUMNS },
+      { id: 'projected-returns', label: 'Projected Returns', rows: calculatedResults.projectedReturns, columns: RETURN_COLUMNS },
+      {
+        id: 'scenario-results',
+        label: 'Scenario Results',
+        rows: [{ ...calculatedResults, investmentAmount }],
+        columns: SCENARIO_COLUMNS
+      },
+      { id: 'drip-projection', label: 'DRIP Projection', rows: calculatedResults.dripProjection, columns: DRIP_COLUMNS }
+    );
+  }
+
+  return datasets.filter(dataset => dataset.rows && dataset.rows.length > 0);
+};
@@ -2,184 +2,331 @@
  * Finance Service for MSTY Dashboard
  * 
  * This service handles real-time price data and dividend information fetching
+ * for any fund configured in fundConfig
  */
 
-// Configuration
-const MSTY_SYMBOL = 'MSTY';
-const FINNHUB_API_KEY = process.env.REACT_APP_FINANCE_API_KEY || '';
-
-// API endpoints - Using different URLs for different services
-const FINNHUB_API_URL = `https://finnhub.io/api/v1/quote?symbol=${MSTY_SYMBOL}&token=${FINNHUB_API_KEY}`;
-
-// Fallback APIs - Note: In a real implementation, you would use different API keys for these services
-const ALPHA_VANTAGE_URL = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${MSTY_SYMBOL}&apikey=demo`;
-const BACKUP_PRICE_API = `https://api.polygon.io/v2/aggs/ticker/${MSTY_SYMBOL}/prev?apiKey=demo`;
+import { DEFAULT_FUND_SYMBOL, getFund } from './fundConfig';
+import { DEFAULT_FORECAST_MODEL, forecastDividend } from './forecastService';
+import {
+  ERROR_KINDS,
+  PriceProviderError,
+  classifyHttpStatus,
+  getConfiguredProviders,
+  toProviderError
+} from './priceProviders';
+import { readCache, writeCache, isOffline } from './cacheService';
+import { loadImportedDividends, mergeDividendRecords } from './importService';
+import { calculateTtmYield, withExDateYields } from './yieldMetricsService';
+import { systemClock } from './clockService';
+import { isConfirmedRecord } from './dividendLifecycleService';
+import {
+  MONTH_NAMES,
+  getMonthIndex,
+  normalizeDividendRecord,
+  validateDividendRecords,
+  recordValidationIssues,
+  clearValidationIssues
+} from './dividendValidationService';
 
 /**
- * Fetches real-time price data for MSTY
- * @returns {Promise<Object>} Current price information
+ * Fetches real-time price data for a fund
+ * Tries each configured provider in order (see priceProviders) until one answers.
+ * A cached quote younger than its TTL is returned without a network call.
+ * When offline or when every provider fails, the result is marked stale and carries
+ * a structured failure ({ kind, message, attempts }) with the last cached quote, if any.
+ * @param {string} [symbol] - Fund ticker symbol (defaults to MSTY)
+ * @param {Object} [options] - { forceRefresh } skips the fresh-cache shortcut
+ * @returns {Promise<Object>} Price information with provider, fetchedAt, stale and failure fields
  */
-export const fetchRealTimePrice = async () => {
-  try {
-    console.log('Fetching price data from Finnhub...');
-    const response = await fetch(FINNHUB_API_URL);
-    
-    if (!response.ok) {
-      throw new Error('Price data API response was not ok');
-    }
-    
-    const data = await response.json();
-    
-    if (data.error) {
-      throw new Error(`Finnhub API error: ${data.error}`);
-    }
-    
-    return {
-      currentPrice: data.c, // Current price
-      previousClose: data.pc, // Previous close
-      change: data.c - data.pc, // Change
-      percentChange: ((data.c - data.pc) / data.pc) * 100, // Percent change
-      high: data.h, // Day high
-      low: data.l, // Day low
-      timestamp: new Date().toLocaleString(), // Current time
-    };
-  } catch (error) {
-    console.error('Error fetching real-time price from Finnhub:', error);
-    
-    // Fallback to backup API if primary fails
+export const fetchRealTimePrice = async (symbol = DEFAULT_FUND_SYMBOL, { forceRefresh = false } = {}) => {
+  const cached = readCache('quote', symbol);
+  if (cached && !cached.expired && !forceRefresh) {
+    return { ...cached.data, stale: false, failure: null, fromCache: true };
+  }
+  
+  const attempts = [];
+  const providers = isOffline() ? [] : getConfiguredProviders();
+  
+  for (const { provider, apiKey } of providers) {
     try {
-      console.log('Attempting to use backup price API...');
-      const backupResponse = await fetch(BACKUP_PRICE_API);
-      if (!backupResponse.ok) {
-        throw new Error('Backup price API response was not ok');
-      }
+      console.log(`Fetching ${symbol} price data from ${provider.label}...`);
+      const response = await fetch(provider.buildQuoteUrl(symbol, apiKey));
       
-      const backupData = await backupResponse.json();
-      const result = backupData.results[0];
+      if (!response.ok) {
+        throw new PriceProviderError(
+          classifyHttpStatus(response.status),
+          `${provider.label} response was not ok (${response.status})`,
+          provider.id
+        );
+      }
       
-      return {
-        currentPrice: result.c,
-        previousClose: result.o,
-        change: result.c - result.o,
-        percentChange: ((result.c - result.o) / result.o) * 100,
-        high: result.h,
-        low: result.l,
-        timestamp: new Date().toLocaleString(),
+      const fetchedAt = new Date();
+      const quote = {
+        ...provider.parseQuote(await response.json()),
+        fetchedAt: fetchedAt.toISOString(),
+        timestamp: fetchedAt.toLocaleString(), // Current time
       };
-    } catch (backupError) {
-      console.error('Error fetching from backup price API:', backupError);
       
-      // If all APIs fail, return the most recent known price as a fallback
-      return {
-        currentPrice: 25.12, // Last known price
-        previousClose: 24.70,
-        change: 0.42,
-        percentChange: 1.70,
-        high: 25.45,
-        low: 24.65,
-        timestamp: new Date().toLocaleString() + ' (Fallback data)',
-      };
+      writeCache('quote', symbol, quote, fetchedAt);
+      return { ...quote, stale: false, failure: null, fromCache: false };
+    } catch (error) {
+      const providerError = toProviderError(error, provider.id);
+      console.error(`Error fetching real-time price from ${provider.label}:`, providerError);
+      attempts.push({ provider: provider.id, kind: providerError.kind, message: providerError.message });
     }
   }
+  
+  // Every provider failed: report why, using the primary provider's failure kind
+  let failure;
+  if (isOffline()) {
+    failure = { kind: ERROR_KINDS.NETWORK, message: 'Browser is offline', attempts };
+  } else if (attempts.length > 0) {
+    failure = { kind: attempts[0].kind, message: attempts[0].message, attempts };
+  } else {
+    failure = { kind: ERROR_KINDS.AUTH, message: 'No price provider is configured', attempts };
+  }
+  
+  if (cached) {
+    return { ...cached.data, stale: true, failure, fromCache: true };
+  }
+  
+  // Nothing to fall back on: no price rather than a made-up one
+  return {
+    currentPrice: 0,
+    previousClose: 0,
+    change: 0,
+    percentChange: 0,
+    high: 0,
+    low: 0,
+    provider: null,
+    fetchedAt: null,
+    timestamp: '',
+    stale: true,
+    failure,
+    fromCache: false
+  };
+};
+
+/**
+ * Describes how long ago data was fetched
+ * @param {string} fetchedAt - ISO timestamp of the fetch
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {string} Human-readable age, e.g. "3 hours"
+ */
+export const formatDataAge = (fetchedAt, now = new Date()) => {
+  if (!fetchedAt) return 'unknown';
+  
+  const minutes = Math.max(0, Math.round((now - new Date(fetchedAt)) / 60000));
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'}`;
 };
 
 /**
  * Generate expected dividend based on historical patterns
  * MSTY typically pays dividends monthly, with amounts varying based on options strategies
+ * The estimate is deterministic: the same history and model always give the same amount
  * @param {Array} historicalDividends - Historical dividend data
  * @param {string} month - Target month (e.g., "Jun")
  * @param {number} year - Target year
+ * @param {string} [modelId] - Forecast model id (see forecastService)
  * @returns {number} Expected dividend amount
  */
-const generateExpectedDividend = (historicalDividends, month, year) => {
-  // Get the last 6 months of data for trend analysis
-  const recentDividends = historicalDividends.slice(0, 6);
-  
-  // Calculate weighted average (more recent months weighted higher)
-  let weightedSum = 0;
-  let totalWeight = 0;
-  
-  recentDividends.forEach((div, index) => {
-    const weight = 6 - index; // More recent = higher weight
-    weightedSum += div.dividend * weight;
-    totalWeight += weight;
-  });
-  
-  const baseExpectedDividend = weightedSum / totalWeight;
-  
-  // Add some variation based on typical MSTY volatility (+/- 30%)
-  const variationFactor = 0.7 + (Math.random() * 0.6); // Random between 0.7 and 1.3
-  
-  return baseExpectedDividend * variationFactor;
+const generateExpectedDividend = (historicalDividends, month, year, modelId = DEFAULT_FORECAST_MODEL) => {
+  const forecast = forecastDividend(historicalDividends, modelId, { month, year });
+  return forecast ? forecast.estimate : 0;
 };
 
+/**
+ * Formats a Date's local calendar day as YYYY-MM-DD (toISOString would use UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date
+ */
+const toLocalIsoDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
 /**
  * Get the expected dividend payout date for a given month
  * MSTY typically pays between 5th-10th of each month
  * @param {number} year - Year
  * @param {number} monthIndex - Month index (0-11)
+ * @param {Function} [random] - Random number generator (defaults to Math.random)
  * @returns {Object} Ex-dividend and payment dates
  */
-const getExpectedPayoutDates = (year, monthIndex) => {
+const getExpectedPayoutDates = (year, monthIndex, random = Math.random) => {
   // Ex-dividend date is typically 5th-8th of the month
-  const exDay = 5 + Math.floor(Math.random() * 4); // Random between 5-8
+  const exDay = 5 + Math.floor(random() * 4); // Random between 5-8
   const exDate = new Date(year, monthIndex, exDay);
   
   // Payment date is typically 1-2 days after ex-dividend date
   const payDate = new Date(exDate);
-  payDate.setDate(exDate.getDate() + 1 + Math.floor(Math.random() * 2)); // +1 or +2 days
+  payDate.setDate(exDate.getDate() + 1 + Math.floor(random() * 2)); // +1 or +2 days
   
   return {
-    exDate: exDate.toISOString().split('T')[0],
-    payDate: payDate.toISOString().split('T')[0]
+    exDate: toLocalIsoDate(exDate),
+    payDate: toLocalIsoDate(payDate)
   };
 };
 
 /**
- * Fetches dividend history data for MSTY
- * @returns {Promise<Array>} Dividend history
+ * Fetches a fund's distributions from the first configured provider that has them
+ * Each record's yield is measured against the close on its ex-date when the price
+ * history covers it (providers do not report a yield)
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Promise<Array|null>} Records as received, or null when no provider answered
  */
-export const fetchDividendHistory = async () => {
-  try {
-    // In a real implementation, this would use an API
-    // For demonstration, we'll simulate data fetching
-    // and use backup static data if API fails
-    
-    // Simulated API call to get dividend history
-    const response = await fetch('https://proxy-api.example.com/dividends/MSTY');
-    
-    if (!response.ok) {
-      throw new Error('Dividend data API response was not ok');
+const fetchProviderDividends = async (symbol) => {
+  for (const { provider, apiKey } of getConfiguredProviders()) {
+    try {
+      console.log(`Fetching ${symbol} dividend history from ${provider.label}...`);
+      const response = await fetch(provider.buildDividendsUrl(symbol, apiKey));
+      
+      if (!response.ok) {
+        throw new PriceProviderError(
+          classifyHttpStatus(response.status),
+          `${provider.label} response was not ok (${response.status})`,
+          provider.id
+        );
+      }
+      
+      const distributions = provider.parseDividends(await response.json());
+      if (distributions.length === 0) continue;
+      
+      const oldest = distributions[distributions.length - 1].exDate;
+      const bars = await fetchPriceHistory(symbol, oldest);
+      return withExDateYields(distributions, bars).map(div => ({
+        month: MONTH_NAMES[Number(div.exDate.slice(5, 7)) - 1],
+        year: Number(div.exDate.slice(0, 4)),
+        dividend: div.dividend,
+        yield: div.exDatePrice ? parseFloat(div.yield.toFixed(2)) : undefined,
+        exDate: div.exDate,
+        payDate: div.payDate
+      }));
+    } catch (error) {
+      console.error(`Error fetching dividend history from ${provider.label}:`, toProviderError(error, provider.id));
     }
-    
-    const data = await response.json();
-    return data.dividends;
-    
-  } catch (error) {
-    console.error('Error fetching dividend history:', error);
-    
-    // Fallback to static data if API call fails
-    // Updated to include June 2025 and auto-generate future months
-    const baseDividends = [
-      { month: "Jun", year: 2025, dividend: 1.8967, yield: 7.55, exDate: "2025-06-06", payDate: "2025-06-09" },
-      { month: "May", year: 2025, dividend: 2.3734, yield: 9.45, exDate: "2025-05-08", payDate: "2025-05-09" },
-      { month: "Apr", year: 2025, dividend: 1.3356, yield: 5.32, exDate: "2025-04-10", payDate: "2025-04-11" },
-      { month: "Mar", year: 2025, dividend: 1.3775, yield: 5.48, exDate: "2025-03-13", payDate: "2025-03-14" },
-      { month: "Feb", year: 2025, dividend: 2.0216, yield: 8.05, exDate: "2025-02-13", payDate: "2025-02-14" },
-      { month: "Jan", year: 2025, dividend: 2.2792, yield: 9.07, exDate: "2025-01-16", payDate: "2025-01-17" },
-      { month: "Dec", year: 2024, dividend: 3.0821, yield: 12.27, exDate: "2024-12-19", payDate: "2024-12-20" },
-      { month: "Nov", year: 2024, dividend: 4.4213, yield: 17.60, exDate: "2024-11-21", payDate: "2024-11-22" },
-      { month: "Oct", year: 2024, dividend: 4.1981, yield: 16.71, exDate: "2024-10-24", payDate: "2024-10-25" },
-      { month: "Sep", year: 2024, dividend: 1.8541, yield: 7.38, exDate: "2024-09-06", payDate: "2024-09-09" },
-      { month: "Aug", year: 2024, dividend: 1.9405, yield: 7.72, exDate: "2024-08-07", payDate: "2024-08-08" },
-      { month: "Jul", year: 2024, dividend: 2.3320, yield: 9.28, exDate: "2024-07-05", payDate: "2024-07-08" },
-      { month: "Jun", year: 2024, dividend: 3.0300, yield: 12.06, exDate: "2024-06-06", payDate: "2024-06-07" },
-      { month: "May", year: 2024, dividend: 2.5239, yield: 10.05, exDate: "2024-05-06", payDate: "2024-05-08" },
-      { month: "Apr", year: 2024, dividend: 4.1286, yield: 16.44, exDate: "2024-04-04", payDate: "2024-04-08" }
-    ];
-    
-    return baseDividends;
   }
+  return null;
+};
+
+/**
+ * Loads dividend records before user imports are applied
+ * Order: fresh cache, the price providers' dividend endpoints, expired cache, then the
+ * fund's static fallback
+ * @param {string} symbol - Fund ticker symbol
+ * @param {boolean} forceRefresh - Skip the fresh-cache shortcut
+ * @returns {Promise<Object>} { records, source } with records as received
+ */
+const loadBaseDividends = async (symbol, forceRefresh) => {
+  const cached = readCache('dividends', symbol);
+  if (cached && ((!cached.expired && !forceRefresh) || isOffline())) {
+    return { records: cached.data.map(div => ({ ...div })), source: 'cache' };
+  }
+  
+  const records = isOffline() ? null : await fetchProviderDividends(symbol);
+  if (records) {
+    writeCache('dividends', symbol, records);
+    return { records, source: 'api' };
+  }
+  
+  // An older cached copy is still newer than the bundled data
+  if (cached) {
+    return { records: cached.data.map(div => ({ ...div })), source: 'cache' };
+  }
+  
+  // Fall back to the fund's static data when no provider has it
+  // Copy the records so callers can sort or extend them safely
+  return { records: getFund(symbol).fallbackDividends.map(div => ({ ...div })), source: 'fallback' };
+};
+
+/**
+ * Fetches dividend history data for a fund
+ * Every source is validated (see dividendValidationService); rejected records are left out
+ * and the issues found are available from getValidationIssues(symbol).
+ * Records imported from a file replace fetched records for the same ex-date
+ * @param {string} [symbol] - Fund ticker symbol (defaults to MSTY)
+ * @param {Object} [options] - { forceRefresh } skips the fresh-cache shortcut
+ * @returns {Promise<Array>} Dividend history in the canonical record shape
+ */
+export const fetchDividendHistory = async (symbol = DEFAULT_FUND_SYMBOL, { forceRefresh = false } = {}) => {
+  const fetched = await loadBaseDividends(symbol, forceRefresh);
+  clearValidationIssues(symbol);
+  
+  const base = validateDividendRecords(fetched.records, fetched.source);
+  recordValidationIssues(symbol, fetched.source, base.issues);
+  
+  const imported = validateDividendRecords(loadImportedDividends(symbol), 'import');
+  recordValidationIssues(symbol, 'import', imported.issues);
+  
+  return mergeDividendRecords(base.records, imported.records);
+};
+
+/**
+ * Formats a Date as an ISO date string (YYYY-MM-DD)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date
+ */
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Fetches daily price history (unadjusted, so ex-dividend drops stay visible)
+ * @param {string} [symbol] - Fund ticker symbol (defaults to MSTY)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} [to] - End date (YYYY-MM-DD, defaults to today)
+ * @param {Object} [options] - { forceRefresh } skips the fresh-cache shortcut
+ * @returns {Promise<Array>} Daily bars sorted oldest first: { date, open, high, low, close }
+ */
+export const fetchPriceHistory = async (
+  symbol = DEFAULT_FUND_SYMBOL,
+  from,
+  to = toIsoDate(new Date()),
+  { forceRefresh = false } = {}
+) => {
+  // Cached bars are reusable when they reach back far enough
+  const cached = readCache('priceHistory', symbol);
+  const cachedBars = cached && cached.data.from <= from
+    ? cached.data.bars.filter(bar => bar.date >= from && bar.date <= to)
+    : null;
+  if (cachedBars && ((!cached.expired && !forceRefresh) || isOffline())) {
+    return cachedBars;
+  }
+  
+  const providers = isOffline() ? [] : getConfiguredProviders();
+  for (const { provider, apiKey } of providers) {
+    try {
+      console.log(`Fetching ${symbol} price history from ${provider.label}...`);
+      const response = await fetch(provider.buildHistoryUrl(symbol, apiKey, from, to));
+      
+      if (!response.ok) {
+        throw new PriceProviderError(
+          classifyHttpStatus(response.status),
+          `${provider.label} response was not ok (${response.status})`,
+          provider.id
+        );
+      }
+      
+      const bars = provider.parseHistory(await response.json(), from, to);
+      if (bars.length > 0) {
+        writeCache('priceHistory', symbol, { from, bars });
+        return bars;
+      }
+    } catch (error) {
+      console.error(`Error fetching price history from ${provider.label}:`, toProviderError(error, provider.id));
+    }
+  }
+  
+  // Fall back to whatever is cached; no static price history is bundled
+  if (cached) {
+    return cached.data.bars.filter(bar => bar.date >= from && bar.date <= to);
+  }
+  return [];
 };
 
 /**
@@ -189,29 +336,25 @@ export const fetchDividendHistory = async () => {
  * @returns {number} Calculated yield percentage
  */
 export const calculateYield = (dividendAmount, price) => {
+  if (!price) return 0;
   return (dividendAmount / price) * 100;
 };
 
 /**
- * Calculates annualized yield based on monthly dividends
+ * Calculates the trailing-twelve-month distribution yield
+ * Only confirmed distributions with an ex-date in the last 365 days count,
+ * however many records the history holds
  * @param {Array} dividends - Array of dividend objects
  * @param {number} currentPrice - Current price
- * @returns {number} Annualized yield percentage
+ * @param {Date} [asOf] - End of the 365-day window (defaults to today)
+ * @returns {number} TTM yield percentage
  */
-export const calculateAnnualizedYield = (dividends, currentPrice) => {
+export const calculateAnnualizedYield = (dividends, currentPrice, asOf = new Date()) => {
   if (!dividends || dividends.length === 0 || !currentPrice) {
     return 0;
   }
   
-  // Use up to 12 most recent months
-  const recentDividends = dividends.slice(0, Math.min(12, dividends.length));
-  const totalDividend = recentDividends.reduce((sum, item) => sum + item.dividend, 0);
-  
-  // If we have less than 12 months of data, annualize it
-  const annualFactor = 12 / recentDividends.length;
-  const annualizedDividend = totalDividend * annualFactor;
-  
-  return (annualizedDividend / currentPrice) * 100;
+  return calculateTtmYield(dividends, currentPrice, asOf).value || 0;
 };
 
 /**
@@ -223,8 +366,7 @@ export const calculateAnnualizedYield = (dividends, currentPrice) => {
  * @returns {boolean} Whether we're in announcement period
  */
 const isInAnnouncementPeriod = (currentDate, month, year) => {
-  const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  const monthIndex = monthNames.indexOf(month);
+  const monthIndex = getMonthIndex(month);
   
   if (monthIndex === -1) return false;
   
@@ -249,8 +391,7 @@ const isInAnnouncementPeriod = (currentDate, month, year) => {
  * @returns {boolean} Whether dividend should have been paid
  */
 const shouldHavePaidDividend = (currentDate, month, year) => {
-  const monthNames = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-  const monthIndex = monthNames.indexOf(month);
+  const monthIndex = getMonthIndex(month);
   
   if (monthIndex === -1) return false;
   
@@ -260,107 +401,137 @@ const shouldHavePaidDividend = (currentDate, month, year) => {
   return currentDate > expectedPayDate;
 };
 
+/**
+ * Adds an estimator record to the front of the history once it passes validation
+ * @param {Object} estimate - Generated record
+ * @param {Array} dividends - History to extend
+ * @param {string|null} symbol - Fund ticker symbol the issues are recorded under (null records nothing)
+ * @returns {Array} History with the canonical estimate, or unchanged when it is rejected
+ */
+const prependEstimate = (estimate, dividends, symbol) => {
+  const { record, issues } = normalizeDividendRecord(estimate, 'estimator');
+  const label = record ? `${record.month} ${record.year}` : `${estimate.month} ${estimate.year}`;
+  if (symbol) {
+    recordValidationIssues(symbol, 'estimator', issues.map(issue => ({ source: 'estimator', label, ...issue })));
+  }
+  
+  if (!record) {
+    console.error(`Estimated dividend for ${label} was rejected`);
+    return dividends;
+  }
+  return [record, ...dividends];
+};
+
+/**
+ * Where a date falls in the auto-update schedule
+ * @param {Array} currentDividends - Current dividend array
+ * @param {Object} [options] - { clock } returning the date to check (defaults to the system clock)
+ * @returns {Object} { date, current, next } where current and next are
+ *   { month, year, monthIndex, present, paymentDue?, announcementWindow }
+ */
+export const getAutoUpdateSchedule = (currentDividends, { clock = systemClock } = {}) => {
+  const today = clock();
+  const isPresent = (month, year) => (currentDividends || []).some(
+    div => div.month === month && div.year === year
+  );
+  
+  const currentMonth = MONTH_NAMES[today.getMonth()];
+  const currentYear = today.getFullYear();
+  
+  // First of next month, so month-end dates do not skip a month
+  const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  const nextMonthName = MONTH_NAMES[nextMonth.getMonth()];
+  const nextYear = nextMonth.getFullYear();
+  
+  return {
+    date: today,
+    current: {
+      month: currentMonth,
+      year: currentYear,
+      monthIndex: today.getMonth(),
+      present: isPresent(currentMonth, currentYear),
+      paymentDue: shouldHavePaidDividend(today, currentMonth, currentYear),
+      announcementWindow: isInAnnouncementPeriod(today, currentMonth, currentYear)
+    },
+    next: {
+      month: nextMonthName,
+      year: nextYear,
+      monthIndex: nextMonth.getMonth(),
+      present: isPresent(nextMonthName, nextYear),
+      // Early announcements are only considered in the last week of the month
+      announcementWindow: today.getDate() >= 25 && isInAnnouncementPeriod(today, nextMonthName, nextYear)
+    }
+  };
+};
+
 /**
  * Enhanced function to check for and add new dividend data
  * @param {Array} currentDividends - Current dividend array
  * @param {number} currentPrice - Current stock price
+ * @param {string} [modelId] - Forecast model used for estimates
+ * @param {string|null} [symbol] - Fund ticker symbol for the validation report (null records nothing)
+ * @param {Object} [options] - { clock, random } to replay a given date repeatably
+ *   (default to the system clock and Math.random)
  * @returns {Promise<Array>} Updated dividend array
  */
-export const checkForNewDividendData = async (currentDividends, currentPrice) => {
+export const checkForNewDividendData = async (
+  currentDividends,
+  currentPrice,
+  modelId = DEFAULT_FORECAST_MODEL,
+  symbol = DEFAULT_FUND_SYMBOL,
+  { clock = systemClock, random = Math.random } = {}
+) => {
+  // Estimates need some history to work from
+  if (!currentDividends || currentDividends.length === 0) {
+    return currentDividends || [];
+  }
+  
   try {
-    const today = new Date();
-    const currentMonth = today.toLocaleString('default', { month: 'short' });
-    const currentYear = today.getFullYear();
+    const { current, next } = getAutoUpdateSchedule(currentDividends, { clock });
     
-    // Check current month
-    const hasCurrentMonth = currentDividends.some(
-      div => div.month === currentMonth && div.year === currentYear
-    );
+    // Builds the record for a month with the selected forecast model
+    const buildRecord = (period, status) => {
+      const expectedDividend = generateExpectedDividend(currentDividends, period.month, period.year, modelId);
+      const expectedYield = calculateYield(expectedDividend, currentPrice);
+      const dates = getExpectedPayoutDates(period.year, period.monthIndex, random);
+      
+      return {
+        month: period.month,
+        year: period.year,
+        dividend: parseFloat(expectedDividend.toFixed(4)),
+        yield: parseFloat(expectedYield.toFixed(2)),
+        exDate: dates.exDate,
+        payDate: dates.payDate,
+        status
+      };
+    };
     
-    if (!hasCurrentMonth) {
+    if (!current.present) {
       // Check if we should have the dividend by now
-      if (shouldHavePaidDividend(today, currentMonth, currentYear)) {
-        console.log(`Missing dividend for ${currentMonth} ${currentYear}, adding estimated dividend`);
-        
-        // Generate expected dividend
-        const expectedDividend = generateExpectedDividend(currentDividends, currentMonth, currentYear);
-        const expectedYield = calculateYield(expectedDividend, currentPrice);
-        const monthIndex = today.getMonth();
-        const dates = getExpectedPayoutDates(currentYear, monthIndex);
-        
-        const newDividend = {
-          month: currentMonth,
-          year: currentYear,
-          dividend: parseFloat(expectedDividend.toFixed(4)),
-          yield: parseFloat(expectedYield.toFixed(2)),
-          exDate: dates.exDate,
-          payDate: dates.payDate,
-          estimated: true // Flag to indicate this is an estimate
-        };
+      if (current.paymentDue) {
+        console.log(`Missing dividend for ${current.month} ${current.year}, adding estimated dividend`);
         
-        return [newDividend, ...currentDividends];
+        return prependEstimate(buildRecord(current, 'projected'), currentDividends, symbol);
       }
       
       // Check if we're in announcement period and should simulate announcement
-      else if (isInAnnouncementPeriod(today, currentMonth, currentYear)) {
+      else if (current.announcementWindow) {
         // 30% chance of "announcement" during this period
-        if (Math.random() < 0.3) {
-          console.log(`Simulating dividend announcement for ${currentMonth} ${currentYear}`);
+        if (random() < 0.3) {
+          console.log(`Simulating dividend announcement for ${current.month} ${current.year}`);
           
-          const expectedDividend = generateExpectedDividend(currentDividends, currentMonth, currentYear);
-          const expectedYield = calculateYield(expectedDividend, currentPrice);
-          const monthIndex = today.getMonth();
-          const dates = getExpectedPayoutDates(currentYear, monthIndex);
-          
-          const newDividend = {
-            month: currentMonth,
-            year: currentYear,
-            dividend: parseFloat(expectedDividend.toFixed(4)),
-            yield: parseFloat(expectedYield.toFixed(2)),
-            exDate: dates.exDate,
-            payDate: dates.payDate,
-            announced: true // Flag to indicate this was just announced
-          };
-          
-          return [newDividend, ...currentDividends];
+          return prependEstimate(buildRecord(current, 'announced'), currentDividends, symbol);
         }
       }
     }
     
     // Also check next month if we're close to the end of current month
-    const nextMonth = new Date(today);
-    nextMonth.setMonth(today.getMonth() + 1);
-    const nextMonthName = nextMonth.toLocaleString('default', { month: 'short' });
-    const nextYear = nextMonth.getFullYear();
-    
-    const hasNextMonth = currentDividends.some(
-      div => div.month === nextMonthName && div.year === nextYear
-    );
-    
-    if (!hasNextMonth && today.getDate() >= 25) { // Last week of month
-      if (isInAnnouncementPeriod(today, nextMonthName, nextYear)) {
-        // 25% chance of early announcement for next month
-        if (Math.random() < 0.25) {
-          console.log(`Simulating early dividend announcement for ${nextMonthName} ${nextYear}`);
-          
-          const expectedDividend = generateExpectedDividend(currentDividends, nextMonthName, nextYear);
-          const expectedYield = calculateYield(expectedDividend, currentPrice);
-          const nextMonthIndex = nextMonth.getMonth();
-          const dates = getExpectedPayoutDates(nextYear, nextMonthIndex);
-          
-          const newDividend = {
-            month: nextMonthName,
-            year: nextYear,
-            dividend: parseFloat(expectedDividend.toFixed(4)),
-            yield: parseFloat(expectedYield.toFixed(2)),
-            exDate: dates.exDate,
-            payDate: dates.payDate,
-            announced: true,
-            earlyAnnouncement: true
-          };
-          
-          return [newDividend, ...currentDividends];
-        }
+    if (!next.present && next.announcementWindow) {
+      // 25% chance of early announcement for next month
+      if (random() < 0.25) {
+        console.log(`Simulating early dividend announcement for ${next.month} ${next.year}`);
+        
+        return prependEstimate(buildRecord(next, 'announced'), currentDividends, symbol);
       }
     }
     
@@ -373,25 +544,43 @@ export const checkForNewDividendData = async (currentDividends, currentPrice) =>
 
 /**
  * Force update dividend data for testing purposes
+ * A projected or announced current-month record is replaced by a new estimate; a confirmed
+ * one is real data, so the history is then returned without an estimate
  * @param {Array} currentDividends - Current dividend array
  * @param {number} currentPrice - Current stock price
+ * @param {string} [modelId] - Forecast model used for the estimate
+ * @param {string|null} [symbol] - Fund ticker symbol for the validation report (null records nothing)
+ * @param {Object} [options] - { clock, random } to replay a given date repeatably
  * @returns {Array} Updated dividend array with current month
  */
-export const forceUpdateCurrentMonth = (currentDividends, currentPrice) => {
-  const today = new Date();
-  const currentMonth = today.toLocaleString('default', { month: 'short' });
+export const forceUpdateCurrentMonth = (
+  currentDividends,
+  currentPrice,
+  modelId = DEFAULT_FORECAST_MODEL,
+  symbol = DEFAULT_FUND_SYMBOL,
+  { clock = systemClock, random = Math.random } = {}
+) => {
+  if (!currentDividends || currentDividends.length === 0) {
+    return currentDividends || [];
+  }
+  
+  const today = clock();
+  const currentMonth = MONTH_NAMES[today.getMonth()];
   const currentYear = today.getFullYear();
   
-  // Remove any existing current month dividend
+  // Remove any existing current month estimate
   const filteredDividends = currentDividends.filter(
-    div => !(div.month === currentMonth && div.year === currentYear)
+    div => isConfirmedRecord(div) || !(div.month === currentMonth && div.year === currentYear)
   );
+  if (filteredDividends.some(div => div.month === currentMonth && div.year === currentYear)) {
+    return filteredDividends;
+  }
   
   // Generate new dividend for current month
-  const expectedDividend = generateExpectedDividend(filteredDividends, currentMonth, currentYear);
+  const expectedDividend = generateExpectedDividend(filteredDividends, currentMonth, currentYear, modelId);
   const expectedYield = calculateYield(expectedDividend, currentPrice);
   const monthIndex = today.getMonth();
-  const dates = getExpectedPayoutDates(currentYear, monthIndex);
+  const dates = getExpectedPayoutDates(currentYear, monthIndex, random);
   
   const newDividend = {
     month: currentMonth,
@@ -400,8 +589,8 @@ export const forceUpdateCurrentMonth = (currentDividends, currentPrice) => {
     yield: parseFloat(expectedYield.toFixed(2)),
     exDate: dates.exDate,
     payDate: dates.payDate,
-    updated: true
+    status: 'projected'
   };
   
-  return [newDividend, ...filteredDividends];
+  return prependEstimate(newDividend, filteredDividends, symbol);
 };
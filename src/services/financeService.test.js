@@ -0,0 +1,47 @@
+import { forceUpdateCurrentMonth } from './financeService';
+import { createFixedClock, createSeededRandom, parseLocalDate } from './clockService';
+import { getFund } from './fundConfig';
+
+const history = getFund('MSTY').fallbackDividends.map(div => ({ ...div, source: 'fallback' }));
+
+// Forces a current-month estimate on 2025-07-10
+const forceUpdate = (dividends) => forceUpdateCurrentMonth(dividends, 20, 'weightedAverage', null, {
+  clock: createFixedClock(parseLocalDate('2025-07-10')),
+  random: createSeededRandom('fixed')
+});
+
+const isJuly2025 = div => div.month === 'Jul' && div.year === 2025;
+
+describe('forceUpdateCurrentMonth', () => {
+  test('adds a projected estimate for a month with no record', () => {
+    const updated = forceUpdate(history);
+    expect(updated).toHaveLength(history.length + 1);
+    expect(updated[0]).toMatchObject({ month: 'Jul', year: 2025, source: 'estimator', status: 'projected' });
+  });
+
+  test('replaces an earlier estimate for the month', () => {
+    const estimate = { month: 'Jul', year: 2025, dividend: 9.99, yield: 50, exDate: '2025-07-08', payDate: '2025-07-09', source: 'estimator', status: 'announced' };
+    const updated = forceUpdate([estimate, ...history]);
+
+    const july = updated.filter(isJuly2025);
+    expect(july).toHaveLength(1);
+    expect(july[0]).toMatchObject({ source: 'estimator', status: 'projected' });
+    expect(july[0].dividend).not.toBe(9.99);
+  });
+
+  test('keeps a confirmed record for the month instead of replacing it', () => {
+    const confirmed = { month: 'Jul', year: 2025, dividend: 1.25, yield: 6.25, exDate: '2025-07-03', payDate: '2025-07-04', source: 'api' };
+    const updated = forceUpdate([confirmed, ...history]);
+
+    expect(updated.filter(isJuly2025)).toEqual([confirmed]);
+    expect(updated.some(div => div.source === 'estimator')).toBe(false);
+  });
+
+  test('keeps a reconciled confirmed record and drops the estimate next to it', () => {
+    const confirmed = { month: 'Jul', year: 2025, dividend: 1.25, exDate: '2025-07-03', source: 'api', status: 'revised' };
+    const estimate = { month: 'Jul', year: 2025, dividend: 1.1, exDate: '2025-07-08', source: 'estimator', status: 'projected' };
+    const updated = forceUpdate([estimate, confirmed, ...history]);
+
+    expect(updated.filter(isJuly2025)).toEqual([confirmed]);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Dividend Forecast Service for MSTY Dashboard
+ *
+ * This service provides named, deterministic forecasting models. Each model returns
+ * a point estimate plus low/high bands of roughly one standard deviation, so the
+ * same history always produces the same forecast.
+ */
+
+import { MONTH_NAMES } from './dividendValidationService';
+
+export const DEFAULT_FORECAST_MODEL = 'weightedAverage';
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Builds a forecast result with bands clamped at zero
+ * @param {number} estimate - Point estimate
+ * @param {number} spread - Band half-width
+ * @returns {Object} Estimate with low and high bands
+ */
+const withBands = (estimate, spread) => ({
+  estimate,
+  low: Math.max(0, estimate - spread),
+  high: estimate + spread
+});
+
+/**
+ * Weighted average of the last 6 distributions (most recent weighted highest)
+ * @param {Array} amounts - Dividend amounts, newest first
+ * @returns {Object} Forecast
+ */
+const weightedAverageModel = (amounts) => {
+  const recent = amounts.slice(0, 6);
+  let weightedSum = 0;
+  let totalWeight = 0;
+  let weightedSquares = 0;
+
+  recent.forEach((amount, index) => {
+    const weight = recent.length - index;
+    weightedSum += amount * weight;
+    totalWeight += weight;
+  });
+
+  const estimate = weightedSum / totalWeight;
+  recent.forEach((amount, index) => {
+    weightedSquares += (recent.length - index) * (amount - estimate) ** 2;
+  });
+
+  return withBands(estimate, Math.sqrt(weightedSquares / totalWeight));
+};
+
+/**
+ * Exponentially weighted moving average (alpha 0.3) with matching EW variance
+ * @param {Array} amounts - Dividend amounts, newest first
+ * @returns {Object} Forecast
+ */
+const ewmaModel = (amounts) => {
+  const alpha = 0.3;
+  const chronological = [...amounts].reverse();
+  let average = chronological[0];
+  let variance = 0;
+
+  chronological.slice(1).forEach(amount => {
+    const difference = amount - average;
+    average += alpha * difference;
+    variance = (1 - alpha) * (variance + alpha * difference ** 2);
+  });
+
+  return withBands(average, Math.sqrt(variance));
+};
+
+/**
+ * Median of the last 12 distributions, banded by the scaled median absolute deviation
+ * @param {Array} amounts - Dividend amounts, newest first
+ * @returns {Object} Forecast
+ */
+const medianModel = (amounts) => {
+  const recent = amounts.slice(0, 12);
+  const estimate = median(recent);
+  const deviation = median(recent.map(amount => Math.abs(amount - estimate)));
+
+  // 1.4826 scales the MAD to a standard deviation for normal data
+  return withBands(estimate, deviation * 1.4826);
+};
+
+/**
+ * Least-squares line through the last 12 distributions, extrapolated one month
+ * @param {Array} amounts - Dividend amounts, newest first
+ * @returns {Object} Forecast
+ */
+const linearTrendModel = (amounts) => {
+  const chronological = amounts.slice(0, 12).reverse();
+  const n = chronological.length;
+  if (n < 2) return withBands(chronological[0], 0);
+
+  const xMean = (n - 1) / 2;
+  const yMean = mean(chronological);
+  let numerator = 0;
+  let denominator = 0;
+  chronological.forEach((amount, x) => {
+    numerator += (x - xMean) * (amount - yMean);
+    denominator += (x - xMean) ** 2;
+  });
+
+  const slope = numerator / denominator;
+  const intercept = yMean - slope * xMean;
+  const residuals = chronological.map((amount, x) => amount - (intercept + slope * x));
+
+  return withBands(Math.max(0, intercept + slope * n), standardDeviation(residuals));
+};
+
+/**
+ * Trailing 12-month average scaled by the target month's historical seasonal factor
+ * Falls back to the plain average when the target month has no history
+ * @param {Array} amounts - Dividend amounts, newest first
+ * @param {Array} history - Dividend records, newest first
+ * @param {Object} target - Target period { month, year }
+ * @returns {Object} Forecast
+ */
+const seasonalModel = (amounts, history, target) => {
+  const baseline = mean(amounts.slice(0, 12));
+  const overall = mean(amounts);
+  const sameMonth = target && target.month
+    ? history.filter(div => div.month === target.month).map(div => div.dividend)
+    : [];
+
+  if (sameMonth.length === 0 || overall === 0) {
+    return withBands(baseline, standardDeviation(amounts.slice(0, 12)));
+  }
+
+  const factors = sameMonth.map(amount => amount / overall);
+  const factor = mean(factors);
+  const spread = factors.length > 1
+    ? standardDeviation(factors) * baseline
+    : standardDeviation(amounts.slice(0, 12));
+
+  return withBands(baseline * factor, spread);
+};
+
+/**
+ * Registry of available forecasting models
+ */
+export const FORECAST_MODELS = {
+  weightedAverage: {
+    id: 'weightedAverage',
+    label: 'Weighted Average',
+    description: 'Last 6 distributions, most recent weighted highest',
+    forecast: weightedAverageModel
+  },
+  ewma: {
+    id: 'ewma',
+    label: 'EWMA',
+    description: 'Exponentially weighted moving average (alpha 0.3)',
+    forecast: ewmaModel
+  },
+  median: {
+    id: 'median',
+    label: 'Median',
+    description: 'Median of the last 12 distributions',
+    forecast: medianModel
+  },
+  linearTrend: {
+    id: 'linearTrend',
+    label: 'Linear Trend',
+    description: 'Least-squares trend over the last 12 distributions',
+    forecast: linearTrendModel
+  },
+  seasonal: {
+    id: 'seasonal',
+    label: 'Seasonal',
+    description: '12-month average scaled by the same calendar month in past years',
+    forecast: seasonalModel
+  }
+};
+
+/**
+ * Lists available forecasting models
+ * @returns {Array} Model definitions
+ */
+export const listForecastModels = () => Object.values(FORECAST_MODELS);
+
+/**
+ * Forecasts a distribution with the chosen model
+ * @param {Array} historicalDividends - Dividend records, newest first
+ * @param {string} [modelId] - Model id from FORECAST_MODELS
+ * @param {Object} [target] - Target period { month, year } (used by the seasonal model)
+ * @returns {Object|null} { model, estimate, low, high }, or null without history
+ */
+export const forecastDividend = (historicalDividends, modelId = DEFAULT_FORECAST_MODEL, target = null) => {
+  const amounts = (historicalDividends || [])
+    .map(div => div.dividend)
+    .filter(amount => typeof amount === 'number' && !isNaN(amount));
+
+  if (amounts.length === 0) {
+    return null;
+  }
+
+  const model = FORECAST_MODELS[modelId] || FORECAST_MODELS[DEFAULT_FORECAST_MODEL];
+  const result = model.forecast(amounts, historicalDividends, target);
+
+  return { model: model.id, ...result };
+};
+
+/**
+ * Period following the newest record in a dividend history
+ * @param {Array} historicalDividends - Dividend records, newest first
+ * @returns {Object|null} { month, year }
+ */
+export const getNextForecastPeriod = (historicalDividends) => {
+  if (!historicalDividends || historicalDividends.length === 0) {
+    return null;
+  }
+
+  const latest = historicalDividends[0];
+  const monthIndex = MONTH_NAMES.indexOf(latest.month);
+  if (monthIndex === -1) return null;
+
+  const next = new Date(latest.year, monthIndex + 1, 1);
+  return { month: MONTH_NAMES[next.getMonth()], year: next.getFullYear() };
+};
@@ -0,0 +1,84 @@
+/**
+ * Fund Configuration for the YieldMax Dividend Dashboard
+ *
+ * Each supported fund carries its own symbols, description and static fallback history
+ */
+
+export const DEFAULT_FUND_SYMBOL = 'MSTY';
+
+// Static MSTY dividend history used when the dividend API is unavailable
+const MSTY_FALLBACK_DIVIDENDS = [
+  { month: "Jun", year: 2025, dividend: 1.8967, yield: 7.55, exDate: "2025-06-06", payDate: "2025-06-09" },
+  { month: "May", year: 2025, dividend: 2.3734, yield: 9.45, exDate: "2025-05-08", payDate: "2025-05-09" },
+  { month: "Apr", year: 2025, dividend: 1.3356, yield: 5.32, exDate: "2025-04-10", payDate: "2025-04-11" },
+  { month: "Mar", year: 2025, dividend: 1.3775, yield: 5.48, exDate: "2025-03-13", payDate: "2025-03-14" },
+  { month: "Feb", year: 2025, dividend: 2.0216, yield: 8.05, exDate: "2025-02-13", payDate: "2025-02-14" },
+  { month: "Jan", year: 2025, dividend: 2.2792, yield: 9.07, exDate: "2025-01-16", payDate: "2025-01-17" },
+  { month: "Dec", year: 2024, dividend: 3.0821, yield: 12.27, exDate: "2024-12-19", payDate: "2024-12-20" },
+  { month: "Nov", year: 2024, dividend: 4.4213, yield: 17.60, exDate: "2024-11-21", payDate: "2024-11-22" },
+  { month: "Oct", year: 2024, dividend: 4.1981, yield: 16.71, exDate: "2024-10-24", payDate: "2024-10-25" },
+  { month: "Sep", year: 2024, dividend: 1.8541, yield: 7.38, exDate: "2024-09-06", payDate: "2024-09-09" },
+  { month: "Aug", year: 2024, dividend: 1.9405, yield: 7.72, exDate: "2024-08-07", payDate: "2024-08-08" },
+  { month: "Jul", year: 2024, dividend: 2.3320, yield: 9.28, exDate: "2024-07-05", payDate: "2024-07-08" },
+  { month: "Jun", year: 2024, dividend: 3.0300, yield: 12.06, exDate: "2024-06-06", payDate: "2024-06-07" },
+  { month: "May", year: 2024, dividend: 2.5239, yield: 10.05, exDate: "2024-05-06", payDate: "2024-05-08" },
+  { month: "Apr", year: 2024, dividend: 4.1286, yield: 16.44, exDate: "2024-04-04", payDate: "2024-04-08" }
+];
+
+/**
+ * Supported funds keyed by ticker symbol
+ * Funds without a bundled history are loaded from the price providers' dividend
+ * endpoints (see priceProviders) and start empty when no provider is configured
+ */
+export const FUNDS = {
+  MSTY: {
+    symbol: 'MSTY',
+    name: 'YieldMax MSTR Option Income Strategy ETF',
+    underlying: 'MicroStrategy (MSTR)',
+    tradingViewSymbol: 'CFI:MSTY',
+    fallbackDividends: MSTY_FALLBACK_DIVIDENDS
+  },
+  TSLY: {
+    symbol: 'TSLY',
+    name: 'YieldMax TSLA Option Income Strategy ETF',
+    underlying: 'Tesla (TSLA)',
+    tradingViewSymbol: 'AMEX:TSLY',
+    fallbackDividends: []
+  },
+  CONY: {
+    symbol: 'CONY',
+    name: 'YieldMax COIN Option Income Strategy ETF',
+    underlying: 'Coinbase (COIN)',
+    tradingViewSymbol: 'AMEX:CONY',
+    fallbackDividends: []
+  },
+  NVDY: {
+    symbol: 'NVDY',
+    name: 'YieldMax NVDA Option Income Strategy ETF',
+    underlying: 'NVIDIA (NVDA)',
+    tradingViewSymbol: 'AMEX:NVDY',
+    fallbackDividends: []
+  },
+  ULTY: {
+    symbol: 'ULTY',
+    name: 'YieldMax Ultra Option Income Strategy ETF',
+    underlying: 'a basket of high-volatility stocks',
+    tradingViewSymbol: 'AMEX:ULTY',
+    fallbackDividends: []
+  }
+};
+
+/**
+ * Looks up a fund configuration by symbol
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Object} Fund configuration (defaults to MSTY for unknown symbols)
+ */
+export const getFund = (symbol) => {
+  return FUNDS[symbol] || FUNDS[DEFAULT_FUND_SYMBOL];
+};
+
+/**
+ * Lists all configured funds in display order
+ * @returns {Array} Fund configurations
+ */
+export const listFunds = () => Object.values(FUNDS);
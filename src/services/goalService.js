@@ -0,0 +1,74 @@
+/**
+ * Income Goal Service for MSTY Dashboard
+ *
+ * This service works the calculator backwards: from a target monthly or annual income
+ * to the shares and investment needed to earn it, optionally after tax.
+ */
+
+import { calculateAfterTax } from './taxService';
+import { isConfirmedRecord } from './dividendLifecycleService';
+
+/**
+ * Shares and investment needed for a target income
+ * @param {Object} options - Goal options
+ * @param {number} options.targetIncome - Target income ($)
+ * @param {string} options.period - 'monthly' or 'annual'
+ * @param {number} options.monthlyDividend - Assumed dividend per share each month
+ * @param {number} options.price - Purchase price per share
+ * @param {Object|null} [options.taxSettings] - Tax settings when the target is after tax
+ * @returns {Object|null} { monthlyGross, monthlyAfterTax, sharesNeeded, investmentNeeded }, or null when not computable
+ */
+export const calculateRequiredInvestment = ({ targetIncome, period, monthlyDividend, price, taxSettings = null }) => {
+  if (!(targetIncome > 0) || !(monthlyDividend > 0) || !(price > 0)) {
+    return null;
+  }
+
+  const monthlyTarget = period === 'annual' ? targetIncome / 12 : targetIncome;
+
+  // Tax is proportional to gross income, so the after-tax share of $1 scales the target
+  const keptShare = taxSettings ? calculateAfterTax(1, taxSettings).afterTax : 1;
+  if (!(keptShare > 0)) {
+    return null;
+  }
+
+  const monthlyGross = monthlyTarget / keptShare;
+  const sharesNeeded = monthlyGross / monthlyDividend;
+
+  return {
+    monthlyGross,
+    monthlyAfterTax: monthlyGross * keptShare,
+    sharesNeeded,
+    investmentNeeded: sharesNeeded * price
+  };
+};
+
+/**
+ * Dividend levels across the history for sensitivity analysis
+ * @param {Array} dividendHistory - Dividend records
+ * @returns {Array} [{ id, label, dividend }] from lowest to highest, empty without history
+ */
+export const getHistoricalDividendLevels = (dividendHistory) => {
+  const amounts = (dividendHistory || [])
+    .filter(isConfirmedRecord)
+    .map(div => div.dividend)
+    .filter(amount => amount > 0)
+    .sort((a, b) => a - b);
+
+  if (amounts.length === 0) {
+    return [];
+  }
+
+  const middle = Math.floor(amounts.length / 2);
+  const median = amounts.length % 2 ? amounts[middle] : (amounts[middle - 1] + amounts[middle]) / 2;
+  const average = amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+  const recent = (dividendHistory || []).filter(isConfirmedRecord).slice(0, 3);
+  const recentAverage = recent.reduce((sum, div) => sum + div.dividend, 0) / recent.length;
+
+  return [
+    { id: 'lowest', label: 'Lowest distribution', dividend: amounts[0] },
+    { id: 'recent', label: 'Last 3 months average', dividend: recentAverage },
+    { id: 'median', label: 'Median distribution', dividend: median },
+    { id: 'average', label: 'Historical average', dividend: average },
+    { id: 'highest', label: 'Highest distribution', dividend: amounts[amounts.length - 1] }
+  ].sort((a, b) => a.dividend - b.dividend);
+};
@@ -0,0 +1,198 @@
+/**
+ * Holdings Service for MSTY Dashboard
+ *
+ * This service manages the persistent holdings ledger (purchase lots and sells)
+ * and matches it against dividend history to find the income actually received
+ */
+
+import { getRecordStatus } from './dividendLifecycleService';
+
+const STORAGE_KEY_PREFIX = 'mstyHoldings_';
+
+/**
+ * Loads the saved ledger transactions for a fund
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Array} Ledger transactions
+ */
+export const loadTransactions = (symbol) => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY_PREFIX + symbol);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading holdings ledger:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the ledger transactions for a fund
+ * @param {string} symbol - Fund ticker symbol
+ * @param {Array} transactions - Ledger transactions
+ */
+export const saveTransactions = (symbol, transactions) => {
+  localStorage.setItem(STORAGE_KEY_PREFIX + symbol, JSON.stringify(transactions));
+};
+
+/**
+ * Orders transactions by date, with buys before sells on the same day
+ * @param {Array} transactions - Ledger transactions
+ * @returns {Array} Sorted copy of the transactions
+ */
+const sortTransactions = (transactions) => {
+  return [...transactions].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    if (a.type !== b.type) return a.type === 'buy' ? -1 : 1;
+    return 0;
+  });
+};
+
+/**
+ * Builds the open lots from every transaction dated before the cutoff
+ * Sells close the oldest lots first (FIFO)
+ * @param {Array} transactions - Ledger transactions
+ * @param {string} [beforeDate] - ISO date; only transactions strictly before it count
+ * @returns {Array} Open lots with their remaining share count
+ */
+export const getOpenLots = (transactions, beforeDate) => {
+  const lots = [];
+
+  sortTransactions(transactions)
+    .filter(txn => !beforeDate || txn.date < beforeDate)
+    .forEach(txn => {
+      if (txn.type === 'buy') {
+        lots.push({
+          id: txn.id,
+          date: txn.date,
+          price: txn.price,
+          shares: txn.shares,
+          remaining: txn.shares
+        });
+        return;
+      }
+
+      let toSell = txn.shares;
+      for (const lot of lots) {
+        if (toSell <= 0) break;
+        const sold = Math.min(lot.remaining, toSell);
+        lot.remaining -= sold;
+        toSell -= sold;
+      }
+    });
+
+  return lots.filter(lot => lot.remaining > 0);
+};
+
+/**
+ * Total shares held from every transaction dated before the cutoff
+ * @param {Array} transactions - Ledger transactions
+ * @param {string} [beforeDate] - ISO date; only transactions strictly before it count
+ * @returns {number} Shares held
+ */
+export const getSharesHeld = (transactions, beforeDate) => {
+  return getOpenLots(transactions, beforeDate).reduce((sum, lot) => sum + lot.remaining, 0);
+};
+
+/**
+ * Validates a new transaction against the existing ledger
+ * @param {Array} transactions - Existing ledger transactions
+ * @param {Object} transaction - Transaction to add
+ * @returns {string|null} Error message, or null when the transaction is valid
+ */
+export const validateTransaction = (transactions, transaction) => {
+  if (!transaction.date || isNaN(new Date(transaction.date).getTime())) {
+    return 'Please enter a valid date.';
+  }
+  if (!(transaction.shares > 0)) {
+    return 'Share count must be greater than zero.';
+  }
+  if (!(transaction.price > 0)) {
+    return 'Price must be greater than zero.';
+  }
+
+  if (transaction.type === 'sell') {
+    // A sell cannot leave the position negative at any later point
+    const withSell = [...transactions, transaction];
+    const dates = sortTransactions(withSell).map(txn => txn.date);
+    for (const date of dates) {
+      const buys = withSell
+        .filter(txn => txn.type === 'buy' && txn.date <= date)
+        .reduce((sum, txn) => sum + txn.shares, 0);
+      const sells = withSell
+        .filter(txn => txn.type === 'sell' && txn.date <= date)
+        .reduce((sum, txn) => sum + txn.shares, 0);
+      if (sells - buys > 1e-9) {
+        return `Cannot sell more shares than held on ${date}.`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Matches each dividend record against the lots held on its ex-date
+ * Shares must be held before the ex-date to receive the distribution
+ * @param {Array} transactions - Ledger transactions
+ * @param {Array} dividendHistory - Dividend records with exDate
+ * @returns {Array} Dividends received, newest first, with a per-lot breakdown
+ */
+export const calculateDividendsReceived = (transactions, dividendHistory) => {
+  if (!transactions.length || !dividendHistory.length) {
+    return [];
+  }
+
+  return dividendHistory
+    .filter(div => div.exDate)
+    .map(div => {
+      const lots = getOpenLots(transactions, div.exDate);
+      const sharesHeld = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+      return {
+        label: `${div.month} ${div.year}`,
+        exDate: div.exDate,
+        payDate: div.payDate,
+        dividend: div.dividend,
+        sharesHeld,
+        income: sharesHeld * div.dividend,
+        status: getRecordStatus(div),
+        lots: lots.map(lot => ({
+          id: lot.id,
+          date: lot.date,
+          shares: lot.remaining,
+          income: lot.remaining * div.dividend
+        }))
+      };
+    })
+    .filter(row => row.sharesHeld > 0)
+    .sort((a, b) => (a.exDate < b.exDate ? 1 : -1));
+};
+
+/**
+ * Summarizes the ledger: current position, cost basis and income by lot
+ * @param {Array} transactions - Ledger transactions
+ * @param {Array} dividendsReceived - Rows from calculateDividendsReceived
+ * @param {number} currentPrice - Current share price
+ * @returns {Object} Position summary
+ */
+export const summarizeHoldings = (transactions, dividendsReceived, currentPrice) => {
+  const openLots = getOpenLots(transactions);
+  const sharesHeld = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+  const costBasis = openLots.reduce((sum, lot) => sum + lot.remaining * lot.price, 0);
+
+  // Income attributed to each buy lot across every matched distribution
+  const incomeByLot = {};
+  dividendsReceived.forEach(row => {
+    row.lots.forEach(lot => {
+      incomeByLot[lot.id] = (incomeByLot[lot.id] || 0) + lot.income;
+    });
+  });
+
+  return {
+    sharesHeld,
+    costBasis,
+    averageCost: sharesHeld > 0 ? costBasis / sharesHeld : 0,
+    marketValue: sharesHeld * (currentPrice || 0),
+    totalIncome: dividendsReceived.reduce((sum, row) => sum + row.income, 0),
+    incomeByLot
+  };
+};
@@ -0,0 +1,302 @@
+/**
+ * Dividend Import Service for MSTY Dashboard
+ *
+ * This service parses CSV or JSON distribution files (ex-date, pay-date, amount and an
+ * optional return of capital split), validates each row and stores the imported
+ * records per fund so they are merged into the dividend history on every load.
+ */
+
+import { MONTH_NAMES, getRecordKey, sortDividendRecords } from './dividendValidationService';
+import { withExDateYields } from './yieldMetricsService';
+
+const STORAGE_KEY_PREFIX = 'mstyImportedDividends_';
+
+// Accepted column names (lower case, spaces/underscores/dashes removed) for each field
+const FIELD_ALIASES = {
+  exDate: ['exdate', 'exdividenddate', 'exdivdate'],
+  payDate: ['paydate', 'paymentdate', 'payabledate'],
+  amount: ['amount', 'dividend', 'distribution', 'distributionpershare', 'pershare'],
+  rocPercent: ['roc', 'rocpercent', 'returnofcapital', 'returnofcapitalpercent']
+};
+
+const normalizeFieldName = (name) => String(name).toLowerCase().replace(/[\s_\-%()]/g, '');
+
+/**
+ * Finds the canonical field for a column name
+ * @param {string} name - Column or property name
+ * @returns {string|null} Field name (exDate, payDate, amount, rocPercent)
+ */
+const resolveField = (name) => {
+  const normalized = normalizeFieldName(name);
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+};
+
+/**
+ * Splits CSV text into rows of cells, honoring double-quoted cells
+ * @param {string} text - CSV content
+ * @returns {Array} Rows of cell strings
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Normalizes a date value to YYYY-MM-DD
+ * @param {string} value - Date as YYYY-MM-DD or M/D/YYYY
+ * @returns {string|null} ISO date, or null when invalid
+ */
+const toIsoDate = (value) => {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    [, month, day, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Parses a number, allowing a leading $ and trailing %
+ * @param {*} value - Raw value
+ * @returns {number} Parsed number (NaN when invalid)
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value || '').trim().replace(/^\$/, '').replace(/%$/, '');
+  return text === '' ? NaN : Number(text);
+};
+
+/**
+ * Validates one raw row and converts it to a dividend record
+ * The yield is measured at the ex-date close; it is left null when the price history has no
+ * bar near the ex-date, since today's price would not give the historical yield
+ * @param {Object} raw - Row keyed by canonical field name
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @returns {Object} { record } or { error }
+ */
+const toDividendRecord = (raw, priceHistory) => {
+  const exDate = toIsoDate(raw.exDate);
+  if (!exDate) {
+    return { error: `Invalid or missing ex-date "${raw.exDate || ''}"` };
+  }
+
+  let payDate = null;
+  if (raw.payDate !== undefined && String(raw.payDate).trim() !== '') {
+    payDate = toIsoDate(raw.payDate);
+    if (!payDate) {
+      return { error: `Invalid pay date "${raw.payDate}"` };
+    }
+    if (payDate < exDate) {
+      return { error: `Pay date ${payDate} is before ex-date ${exDate}` };
+    }
+  }
+
+  const amount = toNumber(raw.amount);
+  if (isNaN(amount) || amount <= 0) {
+    return { error: `Invalid amount "${raw.amount === undefined ? '' : raw.amount}"` };
+  }
+
+  const [priced] = withExDateYields([{ exDate, dividend: amount }], priceHistory);
+  const record = {
+    month: MONTH_NAMES[Number(exDate.slice(5, 7)) - 1],
+    year: Number(exDate.slice(0, 4)),
+    dividend: amount,
+    yield: priced.exDatePrice ? parseFloat(priced.yield.toFixed(2)) : null,
+    exDate,
+    payDate,
+    source: 'import'
+  };
+
+  if (raw.rocPercent !== undefined && String(raw.rocPercent).trim() !== '') {
+    const rocPercent = toNumber(raw.rocPercent);
+    if (isNaN(rocPercent) || rocPercent < 0 || rocPercent > 100) {
+      return { error: `Return of capital must be between 0 and 100 (got "${raw.rocPercent}")` };
+    }
+    record.rocPercent = rocPercent;
+  }
+
+  return { record };
+};
+
+/**
+ * Maps a raw object's keys onto canonical field names
+ * @param {Object} source - Raw row object
+ * @returns {Object} Row keyed by canonical field name
+ */
+const mapFields = (source) => {
+  const mapped = {};
+  Object.keys(source).forEach(key => {
+    const field = resolveField(key);
+    if (field && mapped[field] === undefined) {
+      mapped[field] = source[key];
+    }
+  });
+  return mapped;
+};
+
+/**
+ * Parses and validates a CSV or JSON distribution file
+ * @param {string} text - File content
+ * @param {string} fileName - File name (the extension picks the format)
+ * @param {Array} [priceHistory] - Daily bars sorted oldest first, used for each record's ex-date yield
+ * @returns {Object} { records, errors } where errors are { row, message }
+ */
+export const parseDividendFile = (text, fileName, priceHistory = []) => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+  let rows;
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { records: [], errors: [{ row: 0, message: `Invalid JSON: ${error.message}` }] };
+    }
+    const list = Array.isArray(data) ? data : data.dividends || data.distributions;
+    if (!Array.isArray(list)) {
+      return { records: [], errors: [{ row: 0, message: 'JSON must be an array or have a "dividends" array' }] };
+    }
+    rows = list.map(item => (item && typeof item === 'object' ? mapFields(item) : {}));
+  } else {
+    const [header, ...body] = parseCsv(text);
+    if (!header) {
+      return { records: [], errors: [{ row: 0, message: 'File is empty' }] };
+    }
+    const fields = header.map(resolveField);
+    if (!fields.includes('exDate') || !fields.includes('amount')) {
+      return { records: [], errors: [{ row: 1, message: 'Header must include ex-date and amount columns' }] };
+    }
+    rows = body.map(cells => {
+      const row = {};
+      fields.forEach((field, index) => {
+        if (field) row[field] = cells[index];
+      });
+      return row;
+    });
+  }
+
+  const records = [];
+  const errors = [];
+  const seenExDates = new Set();
+
+  rows.forEach((raw, index) => {
+    // CSV rows are numbered after the header; JSON entries from 1
+    const rowNumber = isJson ? index + 1 : index + 2;
+    const { record, error } = toDividendRecord(raw, priceHistory);
+
+    if (error) {
+      errors.push({ row: rowNumber, message: error });
+      return;
+    }
+
+    if (seenExDates.has(record.exDate)) {
+      errors.push({ row: rowNumber, message: `Duplicate distribution for ex-date ${record.exDate}` });
+      return;
+    }
+    seenExDates.add(record.exDate);
+    records.push(record);
+  });
+
+  return { records, errors };
+};
+
+/**
+ * Merges dividend records, with later sources replacing earlier ones for the same ex-date
+ * (or the same month for records without an ex-date)
+ * @param {Array} base - Existing records
+ * @param {Array} overrides - Records that take precedence
+ * @returns {Array} Merged records, newest first
+ */
+export const mergeDividendRecords = (base, overrides) => {
+  const byKey = new Map();
+  [...base, ...overrides].forEach(record => {
+    byKey.set(getRecordKey(record), record);
+  });
+
+  return sortDividendRecords([...byKey.values()]);
+};
+
+/**
+ * Loads the imported records stored for a fund
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Array} Imported dividend records
+ */
+export const loadImportedDividends = (symbol) => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY_PREFIX + symbol);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading imported dividends:', error);
+    return [];
+  }
+};
+
+/**
+ * Merges new records into the stored imports for a fund
+ * @param {string} symbol - Fund ticker symbol
+ * @param {Array} records - Validated records from parseDividendFile
+ * @returns {Array} All stored imports after the merge
+ */
+export const saveImportedDividends = (symbol, records) => {
+  const merged = mergeDividendRecords(loadImportedDividends(symbol), records);
+  localStorage.setItem(STORAGE_KEY_PREFIX + symbol, JSON.stringify(merged));
+  return merged;
+};
+
+/**
+ * Removes every imported record for a fund
+ * @param {string} symbol - Fund ticker symbol
+ */
+export const clearImportedDividends = (symbol) => {
+  localStorage.removeItem(STORAGE_KEY_PREFIX + symbol);
+};
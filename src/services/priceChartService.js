@@ -0,0 +1,76 @@
+/**
+ * Price Chart Service for MSTY Dashboard
+ *
+ * This service trims daily price history to a selectable range and marks the bars
+ * on which a distribution went ex-dividend, for the native price chart.
+ */
+
+import { getRecordStatus } from './dividendLifecycleService';
+
+export const PRICE_RANGES = [
+  { id: '1M', label: '1M', months: 1 },
+  { id: '3M', label: '3M', months: 3 },
+  { id: '6M', label: '6M', months: 6 },
+  { id: 'YTD', label: 'YTD', months: null },
+  { id: '1Y', label: '1Y', months: 12 },
+  { id: 'ALL', label: 'All', months: null }
+];
+
+export const DEFAULT_PRICE_RANGE = '6M';
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * First date included in a range
+ * @param {string} rangeId - Id from PRICE_RANGES
+ * @param {Date} [today] - Reference date (defaults to today)
+ * @returns {string|null} ISO date, or null for the full history
+ */
+export const getRangeStart = (rangeId, today = new Date()) => {
+  if (rangeId === 'YTD') {
+    return `${today.getFullYear()}-01-01`;
+  }
+  const range = PRICE_RANGES.find(item => item.id === rangeId);
+  if (!range || !range.months) {
+    return null;
+  }
+  const start = new Date(today);
+  start.setMonth(start.getMonth() - range.months);
+  return toIsoDate(start);
+};
+
+/**
+ * Daily bars for a range, with each ex-dividend date's distribution attached
+ * An ex-date without a bar (e.g. a market holiday) is attached to the next bar
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @param {Array} dividendHistory - Dividend records with exDate
+ * @param {string} rangeId - Id from PRICE_RANGES
+ * @param {Date} [today] - Reference date (defaults to today)
+ * @returns {Object} { data: bars with optional distribution, exDates: bar dates carrying a distribution }
+ */
+export const buildPriceChartData = (priceHistory, dividendHistory, rangeId, today = new Date()) => {
+  const start = getRangeStart(rangeId, today);
+  const bars = (priceHistory || []).filter(bar => !start || bar.date >= start);
+
+  const data = bars.map(bar => ({ ...bar }));
+  const exDates = [];
+
+  (dividendHistory || [])
+    .filter(div => div.exDate)
+    .forEach(div => {
+      // Ex-dates before the range or after the latest bar are skipped
+      if (data.length === 0 || div.exDate < data[0].date) return;
+      const bar = data.find(item => item.date >= div.exDate);
+      if (!bar) return;
+
+      bar.distribution = {
+        dividend: div.dividend,
+        label: `${div.month} ${div.year}`,
+        exDate: div.exDate,
+        status: getRecordStatus(div)
+      };
+      exDates.push(bar.date);
+    });
+
+  return { data, exDates };
+};
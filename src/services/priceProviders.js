@@ -0,0 +1,375 @@
+/**
+ * Price Provider Adapters for MSTY Dashboard
+ *
+ * Each adapter builds request URLs for one market data API and maps its raw JSON
+ * into the normalized quote, daily bar and distribution shapes used by the dashboard.
+ * The parse functions are pure, so they can be checked against recorded provider responses.
+ *
+ * Normalized quote: { currentPrice, previousClose, change, percentChange, high, low, provider }
+ * Normalized daily bar: { date, open, high, low, close }
+ * Normalized distribution: { exDate, payDate, dividend }, newest first
+ */
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+// Failure categories reported when a provider cannot answer
+export const ERROR_KINDS = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate-limit',
+  NETWORK: 'network',
+  PARSE: 'parse'
+};
+
+// Short descriptions of each failure kind for display
+export const ERROR_KIND_LABELS = {
+  auth: 'authentication failed',
+  'rate-limit': 'rate limit reached',
+  network: 'network error',
+  parse: 'unexpected response'
+};
+
+/**
+ * Error raised by a provider adapter, tagged with a failure kind
+ */
+export class PriceProviderError extends Error {
+  constructor(kind, message, provider = null) {
+    super(message);
+    this.name = 'PriceProviderError';
+    this.kind = kind;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Failure kind for a non-OK HTTP status
+ * @param {number} status - HTTP status code
+ * @returns {string} Error kind
+ */
+export const classifyHttpStatus = (status) => {
+  if (status === 401 || status === 403) return ERROR_KINDS.AUTH;
+  if (status === 429) return ERROR_KINDS.RATE_LIMIT;
+  return ERROR_KINDS.NETWORK;
+};
+
+/**
+ * Failure kind for a provider's error message
+ * @param {string} message - Error text from the provider
+ * @returns {string} Error kind
+ */
+const classifyMessage = (message) => {
+  if (/limit|frequency|too many|exceeded/i.test(message)) return ERROR_KINDS.RATE_LIMIT;
+  if (/key|token|auth|access|permission/i.test(message)) return ERROR_KINDS.AUTH;
+  return ERROR_KINDS.PARSE;
+};
+
+/**
+ * Sorts normalized distributions newest first, dropping rows without an ex-date or amount
+ * @param {Array} distributions - { exDate, payDate, dividend }
+ * @returns {Array} Distributions newest first
+ */
+const normalizeDistributions = (distributions) => distributions
+  .filter(div => div.exDate && typeof div.dividend === 'number' && div.dividend > 0)
+  .sort((a, b) => b.exDate.localeCompare(a.exDate));
+
+/**
+ * Builds a normalized quote from price fields
+ * @param {string} provider - Provider id
+ * @param {Object} fields - { currentPrice, previousClose, high, low }
+ * @returns {Object} Normalized quote
+ */
+const normalizeQuote = (provider, { currentPrice, previousClose, high, low }) => {
+  if (typeof currentPrice !== 'number' || isNaN(currentPrice) || currentPrice <= 0) {
+    throw new PriceProviderError(ERROR_KINDS.PARSE, `${provider} returned no price for this symbol`, provider);
+  }
+
+  return {
+    currentPrice,
+    previousClose,
+    change: currentPrice - previousClose,
+    percentChange: previousClose ? ((currentPrice - previousClose) / previousClose) * 100 : 0,
+    high,
+    low,
+    provider
+  };
+};
+
+const finnhub = {
+  id: 'finnhub',
+  label: 'Finnhub',
+  keyVariable: 'REACT_APP_FINNHUB_API_KEY',
+  defaultKey: '',
+  buildQuoteUrl: (symbol, apiKey) =>
+    `https://finnhub.io/api/v1/quote?symbol=${symbol}&token=${apiKey}`,
+  parseQuote: (data) => {
+    if (data.error) {
+      throw new PriceProviderError(classifyMessage(data.error), `Finnhub API error: ${data.error}`, 'finnhub');
+    }
+    return normalizeQuote('finnhub', {
+      currentPrice: data.c,
+      previousClose: data.pc,
+      high: data.h,
+      low: data.l
+    });
+  },
+  // from/to are unix seconds
+  buildHistoryUrl: (symbol, apiKey, from, to) => {
+    const fromSeconds = Math.floor(new Date(from).getTime() / 1000);
+    const toSeconds = Math.floor(new Date(to).getTime() / 1000) + 86400;
+    return `https://finnhub.io/api/v1/stock/candle?symbol=${symbol}&resolution=D&from=${fromSeconds}&to=${toSeconds}&token=${apiKey}`;
+  },
+  parseHistory: (data) => {
+    if (data.s === 'no_data') {
+      return [];
+    }
+    if (data.s !== 'ok' || !Array.isArray(data.t)) {
+      const message = String(data.error || data.s);
+      throw new PriceProviderError(classifyMessage(message), `Finnhub candle error: ${message}`, 'finnhub');
+    }
+    return data.t.map((timestamp, i) => ({
+      date: toIsoDate(new Date(timestamp * 1000)),
+      open: data.o[i],
+      high: data.h[i],
+      low: data.l[i],
+      close: data.c[i]
+    }));
+  },
+  // The dividend endpoint needs a date range; ten years covers every YieldMax fund
+  buildDividendsUrl: (symbol, apiKey, to = toIsoDate(new Date())) => {
+    const from = `${Number(to.slice(0, 4)) - 10}${to.slice(4)}`;
+    return `https://finnhub.io/api/v1/stock/dividend?symbol=${symbol}&from=${from}&to=${to}&token=${apiKey}`;
+  },
+  parseDividends: (data) => {
+    if (!Array.isArray(data)) {
+      const message = String((data && data.error) || 'no dividend list');
+      throw new PriceProviderError(classifyMessage(message), `Finnhub dividend error: ${message}`, 'finnhub');
+    }
+    return normalizeDistributions(data.map(item => ({
+      exDate: item.date,
+      payDate: item.payDate || null,
+      dividend: item.amount
+    })));
+  }
+};
+
+/**
+ * Alpha Vantage reports errors in a 200 response body
+ * "Note" and "Information" are sent when the call quota is used up
+ * @param {Object} data - Raw response body
+ */
+const throwAlphaVantageError = (data) => {
+  if (data['Error Message']) {
+    throw new PriceProviderError(ERROR_KINDS.PARSE, `Alpha Vantage API error: ${data['Error Message']}`, 'alphavantage');
+  }
+  if (data.Note || data.Information) {
+    const message = data.Note || data.Information;
+    const kind = /api key/i.test(message) && !/rate|limit|frequency/i.test(message)
+      ? ERROR_KINDS.AUTH
+      : ERROR_KINDS.RATE_LIMIT;
+    throw new PriceProviderError(kind, `Alpha Vantage API error: ${message}`, 'alphavantage');
+  }
+};
+
+const alphaVantage = {
+  id: 'alphavantage',
+  label: 'Alpha Vantage',
+  keyVariable: 'REACT_APP_ALPHAVANTAGE_API_KEY',
+  defaultKey: 'demo',
+  buildQuoteUrl: (symbol, apiKey) =>
+    `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${apiKey}`,
+  parseQuote: (data) => {
+    throwAlphaVantageError(data);
+    const quote = data['Global Quote'] || {};
+    return normalizeQuote('alphavantage', {
+      currentPrice: parseFloat(quote['05. price']),
+      previousClose: parseFloat(quote['08. previous close']),
+      high: parseFloat(quote['03. high']),
+      low: parseFloat(quote['04. low'])
+    });
+  },
+  buildHistoryUrl: (symbol, apiKey) =>
+    `https://www.alphavantage.co/query?function=TIME_SERIES_DAILY&symbol=${symbol}&outputsize=full&apikey=${apiKey}`,
+  parseHistory: (data, from, to) => {
+    throwAlphaVantageError(data);
+    const series = data['Time Series (Daily)'];
+    if (!series) {
+      throw new PriceProviderError(ERROR_KINDS.PARSE, 'Alpha Vantage response has no daily series', 'alphavantage');
+    }
+    // The daily series always covers the full history, so trim it to the range
+    return Object.keys(series)
+      .filter(date => date >= from && date <= to)
+      .sort()
+      .map(date => ({
+        date,
+        open: parseFloat(series[date]['1. open']),
+        high: parseFloat(series[date]['2. high']),
+        low: parseFloat(series[date]['3. low']),
+        close: parseFloat(series[date]['4. close'])
+      }));
+  },
+  buildDividendsUrl: (symbol, apiKey) =>
+    `https://www.alphavantage.co/query?function=DIVIDENDS&symbol=${symbol}&apikey=${apiKey}`,
+  parseDividends: (data) => {
+    throwAlphaVantageError(data);
+    if (!Array.isArray(data.data)) {
+      throw new PriceProviderError(ERROR_KINDS.PARSE, 'Alpha Vantage response has no dividend list', 'alphavantage');
+    }
+    // Missing dates are sent as the string "None"
+    return normalizeDistributions(data.data.map(item => ({
+      exDate: item.ex_dividend_date !== 'None' ? item.ex_dividend_date : null,
+      payDate: item.payment_date && item.payment_date !== 'None' ? item.payment_date : null,
+      dividend: parseFloat(item.amount)
+    })));
+  }
+};
+
+/**
+ * Polygon marks failed calls with an ERROR or NOT_AUTHORIZED status
+ * @param {Object} data - Raw response body
+ */
+const throwPolygonError = (data) => {
+  if (data.status === 'NOT_AUTHORIZED') {
+    throw new PriceProviderError(ERROR_KINDS.AUTH, `Polygon API error: ${data.message || 'not authorized'}`, 'polygon');
+  }
+  if (data.status === 'ERROR') {
+    const message = String(data.error || data.message);
+    throw new PriceProviderError(classifyMessage(message), `Polygon API error: ${message}`, 'polygon');
+  }
+};
+
+const polygon = {
+  id: 'polygon',
+  label: 'Polygon',
+  keyVariable: 'REACT_APP_POLYGON_API_KEY',
+  defaultKey: 'demo',
+  buildQuoteUrl: (symbol, apiKey) =>
+    `https://api.polygon.io/v2/aggs/ticker/${symbol}/prev?apiKey=${apiKey}`,
+  parseQuote: (data) => {
+    throwPolygonError(data);
+    if (!Array.isArray(data.results) || data.results.length === 0) {
+      throw new PriceProviderError(ERROR_KINDS.PARSE, 'Polygon API error: no results', 'polygon');
+    }
+    // The previous-day aggregate has no prior close, so change is measured from the open
+    const result = data.results[0];
+    return normalizeQuote('polygon', {
+      currentPrice: result.c,
+      previousClose: result.o,
+      high: result.h,
+      low: result.l
+    });
+  },
+  buildHistoryUrl: (symbol, apiKey, from, to) =>
+    `https://api.polygon.io/v2/aggs/ticker/${symbol}/range/1/day/${from}/${to}?adjusted=false&sort=asc&apiKey=${apiKey}`,
+  parseHistory: (data) => {
+    throwPolygonError(data);
+    return (data.results || []).map(bar => ({
+      date: toIsoDate(new Date(bar.t)),
+      open: bar.o,
+      high: bar.h,
+      low: bar.l,
+      close: bar.c
+    }));
+  },
+  buildDividendsUrl: (symbol, apiKey) =>
+    `https://api.polygon.io/v3/reference/dividends?ticker=${symbol}&order=desc&sort=ex_dividend_date&limit=1000&apiKey=${apiKey}`,
+  parseDividends: (data) => {
+    throwPolygonError(data);
+    return normalizeDistributions((data.results || []).map(item => ({
+      exDate: item.ex_dividend_date,
+      payDate: item.pay_date || null,
+      dividend: item.cash_amount
+    })));
+  }
+};
+
+export const PRICE_PROVIDERS = {
+  finnhub,
+  alphavantage: alphaVantage,
+  polygon
+};
+
+export const DEFAULT_PROVIDER_ORDER = ['finnhub', 'polygon', 'alphavantage'];
+
+/**
+ * API key for a provider
+ * Provider-specific variables win; REACT_APP_FINANCE_API_KEY applies to the primary provider
+ * @param {Object} provider - Provider adapter
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {string} API key (may be empty)
+ */
+export const getProviderKey = (provider, env = process.env) => {
+  if (env[provider.keyVariable]) {
+    return env[provider.keyVariable];
+  }
+  if (env.REACT_APP_FINANCE_API_KEY && getProviderOrder(env)[0] === provider.id) {
+    return env.REACT_APP_FINANCE_API_KEY;
+  }
+  return provider.defaultKey;
+};
+
+/**
+ * Ordered list of provider ids to try
+ * REACT_APP_PROVIDER_ORDER (comma separated) sets the full order;
+ * otherwise REACT_APP_PRIMARY_API moves one provider to the front
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Array} Provider ids
+ */
+export const getProviderOrder = (env = process.env) => {
+  if (env.REACT_APP_PROVIDER_ORDER) {
+    const order = env.REACT_APP_PROVIDER_ORDER
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(id => PRICE_PROVIDERS[id]);
+    if (order.length > 0) {
+      return order;
+    }
+  }
+
+  const primary = (env.REACT_APP_PRIMARY_API || '').toLowerCase();
+  if (PRICE_PROVIDERS[primary]) {
+    return [primary, ...DEFAULT_PROVIDER_ORDER.filter(id => id !== primary)];
+  }
+  return DEFAULT_PROVIDER_ORDER;
+};
+
+/**
+ * Providers to try, in order, with their resolved API keys
+ * Providers without a key are skipped
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Array} [{ provider, apiKey }]
+ */
+export const getConfiguredProviders = (env = process.env) => {
+  return getProviderOrder(env)
+    .map(id => ({ provider: PRICE_PROVIDERS[id], apiKey: getProviderKey(PRICE_PROVIDERS[id], env) }))
+    .filter(entry => entry.apiKey);
+};
+
+/**
+ * Whether any provider has a real (non-demo) API key configured
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {boolean} True when at least one key is set
+ */
+export const hasConfiguredApiKey = (env = process.env) => {
+  return getConfiguredProviders(env).some(entry => entry.apiKey !== entry.provider.defaultKey);
+};
+
+/**
+ * Wraps any failure from a provider call in a PriceProviderError
+ * Fetch rejections are network failures; invalid JSON is a parse failure
+ * @param {Error} error - Caught error
+ * @param {string} providerId - Provider id
+ * @returns {PriceProviderError} Tagged error
+ */
+export const toProviderError = (error, providerId) => {
+  if (error instanceof PriceProviderError) {
+    return error;
+  }
+  const kind = error instanceof SyntaxError ? ERROR_KINDS.PARSE : ERROR_KINDS.NETWORK;
+  return new PriceProviderError(kind, error.message, providerId);
+};
+
+/**
+ * Display label for a provider id
+ * @param {string} id - Provider id
+ * @returns {string} Provider label
+ */
+export const getProviderLabel = (id) => (PRICE_PROVIDERS[id] ? PRICE_PROVIDERS[id].label : id);
@@ -0,0 +1,162 @@
+import {
+  ERROR_KINDS,
+  PRICE_PROVIDERS,
+  PriceProviderError,
+  classifyHttpStatus,
+  toProviderError
+} from './priceProviders';
+import finnhubFixtures from './__fixtures__/priceProviders/finnhub.json';
+import alphaVantageFixtures from './__fixtures__/priceProviders/alphavantage.json';
+import polygonFixtures from './__fixtures__/priceProviders/polygon.json';
+
+const { finnhub, alphavantage, polygon } = PRICE_PROVIDERS;
+
+const EXPECTED_BARS = [
+  { date: '2025-06-02', open: 21.2, high: 21.71, low: 21.02, close: 21.43 },
+  { date: '2025-06-03', open: 21.4, high: 21.52, low: 20.88, close: 21.18 },
+  { date: '2025-06-04', open: 21.16, high: 21.3, low: 20.71, close: 20.96 },
+  { date: '2025-06-05', open: 20.94, high: 21.05, low: 20.49, close: 20.77 },
+  { date: '2025-06-06', open: 20.74, high: 20.92, low: 20.11, close: 20.35 }
+];
+
+const EXPECTED_DISTRIBUTIONS = [
+  { exDate: '2025-06-06', payDate: '2025-06-09', dividend: 1.8967 },
+  { exDate: '2025-05-08', payDate: '2025-05-09', dividend: 2.3734 },
+  { exDate: '2025-04-10', payDate: '2025-04-11', dividend: 1.3356 }
+];
+
+// Runs a parse call and returns the PriceProviderError it throws
+const captureError = (parse) => {
+  try {
+    parse();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the parser to throw');
+};
+
+describe('Finnhub adapter', () => {
+  test('parses a quote', () => {
+    const quote = finnhub.parseQuote(finnhubFixtures.quote);
+    expect(quote).toMatchObject({
+      currentPrice: 20.35,
+      previousClose: 20.77,
+      high: 20.92,
+      low: 20.11,
+      provider: 'finnhub'
+    });
+    expect(quote.change).toBeCloseTo(-0.42, 6);
+    expect(quote.percentChange).toBeCloseTo(-2.0221, 3);
+  });
+
+  test('parses daily candles', () => {
+    expect(finnhub.parseHistory(finnhubFixtures.candles)).toEqual(EXPECTED_BARS);
+  });
+
+  test('treats no_data as an empty history', () => {
+    expect(finnhub.parseHistory(finnhubFixtures.candlesNoData)).toEqual([]);
+  });
+
+  test('parses distributions newest first', () => {
+    expect(finnhub.parseDividends(finnhubFixtures.dividends)).toEqual(EXPECTED_DISTRIBUTIONS);
+  });
+
+  test('maps failures to error kinds', () => {
+    expect(captureError(() => finnhub.parseQuote(finnhubFixtures.invalidKey)).kind).toBe(ERROR_KINDS.AUTH);
+    expect(captureError(() => finnhub.parseDividends(finnhubFixtures.dividendsNoAccess)).kind).toBe(ERROR_KINDS.AUTH);
+    expect(captureError(() => finnhub.parseQuote(finnhubFixtures.rateLimited)).kind).toBe(ERROR_KINDS.RATE_LIMIT);
+    expect(captureError(() => finnhub.parseHistory(finnhubFixtures.candlesNoAccess)).kind).toBe(ERROR_KINDS.AUTH);
+
+    const unknown = captureError(() => finnhub.parseQuote(finnhubFixtures.quoteUnknownSymbol));
+    expect(unknown).toBeInstanceOf(PriceProviderError);
+    expect(unknown.kind).toBe(ERROR_KINDS.PARSE);
+    expect(unknown.provider).toBe('finnhub');
+  });
+});
+
+describe('Alpha Vantage adapter', () => {
+  test('parses a global quote', () => {
+    expect(alphavantage.parseQuote(alphaVantageFixtures.quote)).toMatchObject({
+      currentPrice: 20.35,
+      previousClose: 20.77,
+      high: 20.92,
+      low: 20.11,
+      provider: 'alphavantage'
+    });
+  });
+
+  test('parses the daily series oldest first, trimmed to the range', () => {
+    expect(alphavantage.parseHistory(alphaVantageFixtures.daily, '2025-06-01', '2025-06-30')).toEqual(EXPECTED_BARS);
+    expect(alphavantage.parseHistory(alphaVantageFixtures.daily, '2025-06-04', '2025-06-05')).toEqual(EXPECTED_BARS.slice(2, 4));
+  });
+
+  test('parses distributions, treating "None" dates as missing', () => {
+    expect(alphavantage.parseDividends(alphaVantageFixtures.dividends)).toEqual([
+      ...EXPECTED_DISTRIBUTIONS.slice(0, 2),
+      { ...EXPECTED_DISTRIBUTIONS[2], payDate: null }
+    ]);
+  });
+
+  test('maps failures to error kinds', () => {
+    expect(captureError(() => alphavantage.parseQuote(alphaVantageFixtures.rateLimited)).kind).toBe(ERROR_KINDS.RATE_LIMIT);
+    expect(captureError(() => alphavantage.parseDividends(alphaVantageFixtures.demoKey)).kind).toBe(ERROR_KINDS.AUTH);
+    expect(captureError(() => alphavantage.parseQuote(alphaVantageFixtures.dailyLimitReached)).kind).toBe(ERROR_KINDS.RATE_LIMIT);
+    expect(captureError(() => alphavantage.parseQuote(alphaVantageFixtures.demoKey)).kind).toBe(ERROR_KINDS.AUTH);
+    expect(captureError(() => alphavantage.parseHistory(alphaVantageFixtures.invalidCall, '2025-06-01', '2025-06-30')).kind)
+      .toBe(ERROR_KINDS.PARSE);
+    expect(captureError(() => alphavantage.parseQuote(alphaVantageFixtures.quoteUnknownSymbol)).kind).toBe(ERROR_KINDS.PARSE);
+    expect(captureError(() => alphavantage.parseHistory(alphaVantageFixtures.quote, '2025-06-01', '2025-06-30')).kind)
+      .toBe(ERROR_KINDS.PARSE);
+  });
+});
+
+describe('Polygon adapter', () => {
+  test('parses the previous-day aggregate, measuring change from the open', () => {
+    const quote = polygon.parseQuote(polygonFixtures.previousClose);
+    expect(quote).toMatchObject({
+      currentPrice: 20.35,
+      previousClose: 20.74,
+      high: 20.92,
+      low: 20.11,
+      provider: 'polygon'
+    });
+    expect(quote.change).toBeCloseTo(-0.39, 6);
+  });
+
+  test('parses daily aggregates', () => {
+    expect(polygon.parseHistory(polygonFixtures.aggregates)).toEqual(EXPECTED_BARS);
+    expect(polygon.parseHistory(polygonFixtures.aggregatesEmpty)).toEqual([]);
+  });
+
+  test('parses distributions', () => {
+    expect(polygon.parseDividends(polygonFixtures.dividends)).toEqual(EXPECTED_DISTRIBUTIONS);
+  });
+
+  test('maps failures to error kinds', () => {
+    expect(captureError(() => polygon.parseQuote(polygonFixtures.unknownKey)).kind).toBe(ERROR_KINDS.AUTH);
+    expect(captureError(() => polygon.parseDividends(polygonFixtures.rateLimited)).kind).toBe(ERROR_KINDS.RATE_LIMIT);
+    expect(captureError(() => polygon.parseHistory(polygonFixtures.rateLimited)).kind).toBe(ERROR_KINDS.RATE_LIMIT);
+    expect(captureError(() => polygon.parseQuote(polygonFixtures.previousCloseEmpty)).kind).toBe(ERROR_KINDS.PARSE);
+  });
+});
+
+describe('failure mapping', () => {
+  test('classifies HTTP statuses', () => {
+    expect(classifyHttpStatus(401)).toBe(ERROR_KINDS.AUTH);
+    expect(classifyHttpStatus(403)).toBe(ERROR_KINDS.AUTH);
+    expect(classifyHttpStatus(429)).toBe(ERROR_KINDS.RATE_LIMIT);
+    expect(classifyHttpStatus(500)).toBe(ERROR_KINDS.NETWORK);
+  });
+
+  test('wraps fetch and JSON failures', () => {
+    const network = toProviderError(new TypeError('Failed to fetch'), 'polygon');
+    expect(network).toBeInstanceOf(PriceProviderError);
+    expect(network.kind).toBe(ERROR_KINDS.NETWORK);
+    expect(network.provider).toBe('polygon');
+
+    expect(toProviderError(new SyntaxError('Unexpected token < in JSON'), 'finnhub').kind).toBe(ERROR_KINDS.PARSE);
+
+    const tagged = new PriceProviderError(ERROR_KINDS.AUTH, 'Invalid API key', 'finnhub');
+    expect(toProviderError(tagged, 'polygon')).toBe(tagged);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Scenario Library Service for MSTY Dashboard
+ *
+ * This service stores named calculator scenarios (investment amount, dividend
+ * assumption and price assumption) for each fund and computes the figures used to
+ * compare them.
+ */
+
+import { projectDividendReinvestment } from './dripService';
+import { DEFAULT_FUND_SYMBOL } from './fundConfig';
+
+const STORAGE_KEY = 'mstyScenarios';
+
+/**
+ * Loads the saved scenarios
+ * @returns {Array} Scenarios
+ */
+export const loadScenarios = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (error) {
+    console.error('Error loading scenarios:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the scenarios
+ * @param {Array} scenarios - Scenarios
+ */
+export const saveScenarios = (scenarios) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+};
+
+/**
+ * Scenarios saved for one fund
+ * Scenarios saved before the fund was recorded belong to the default fund
+ * @param {Array} scenarios - Scenarios
+ * @param {string} symbol - Fund ticker symbol
+ * @returns {Array} The fund's scenarios
+ */
+export const getFundScenarios = (scenarios, symbol) => (
+  scenarios.filter(scenario => (scenario.symbol || DEFAULT_FUND_SYMBOL) === symbol)
+);
+
+/**
+ * Builds a scenario with a new id
+ * @param {Object} fields - Scenario fields
+ * @param {string} fields.symbol - Fund ticker symbol the scenario was saved for
+ * @param {string} fields.name - Scenario name
+ * @param {number} fields.investmentAmount - Amount invested ($)
+ * @param {boolean} fields.useCustomDividend - Whether customDividendAmount replaces the historical average
+ * @param {string} fields.customDividendAmount - Monthly dividend per share ($)
+ * @param {string} fields.sharePrice - Purchase price per share ($); empty uses the current price
+ * @param {string} fields.monthlyPriceChange - Assumed price change per month (percent)
+ * @param {boolean} fields.dripEnabled - Whether the calculator projects reinvested distributions
+ * @param {number} fields.dripMonths - DRIP projection horizon (months)
+ * @returns {Object} Scenario
+ */
+export const createScenario = ({
+  symbol = DEFAULT_FUND_SYMBOL,
+  name,
+  investmentAmount,
+  useCustomDividend = false,
+  customDividendAmount = '',
+  sharePrice = '',
+  monthlyPriceChange = '0',
+  dripEnabled = false,
+  dripMonths = 24
+}) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  symbol,
+  name: name.trim(),
+  investmentAmount,
+  useCustomDividend,
+  customDividendAmount: useCustomDividend ? String(customDividendAmount) : '',
+  sharePrice: String(sharePrice),
+  monthlyPriceChange: String(monthlyPriceChange),
+  dripEnabled,
+  dripMonths,
+  savedAt: new Date().toISOString()
+});
+
+/**
+ * Validates a scenario before it is saved
+ * @param {Object} scenario - Scenario fields
+ * @returns {string|null} Error message, or null when the scenario is valid
+ */
+export const validateScenario = (scenario) => {
+  if (!scenario.name || !scenario.name.trim()) {
+    return 'Scenario name is required';
+  }
+  if (!(scenario.investmentAmount > 0)) {
+    return 'Investment amount must be greater than zero';
+  }
+  if (scenario.useCustomDividend && !(parseFloat(scenario.customDividendAmount) > 0)) {
+    return 'Custom dividend must be greater than zero';
+  }
+  if (scenario.sharePrice !== '' && !(parseFloat(scenario.sharePrice) > 0)) {
+    return 'Share price must be greater than zero, or left blank for the current price';
+  }
+  if (isNaN(parseFloat(scenario.monthlyPriceChange))) {
+    return 'Monthly price change must be a number';
+  }
+  return null;
+};
+
+/**
+ * Name for a copy of a scenario that does not clash with existing names
+ * @param {string} name - Original name
+ * @param {Array} scenarios - Existing scenarios
+ * @returns {string} Unique copy name
+ */
+export const getCopyName = (name, scenarios) => {
+  const names = new Set(scenarios.map(scenario => scenario.name));
+  let copyName = `${name} (copy)`;
+  for (let i = 2; names.has(copyName); i++) {
+    copyName = `${name} (copy ${i})`;
+  }
+  return copyName;
+};
+
+/**
+ * Income and yield figures for a scenario
+ * @param {Object} scenario - Scenario
+ * @param {Object} market - { currentPrice, averageMonthlyDividend }
+ * @returns {Object} { price, dividend, sharesOwned, monthlyIncome, annualIncome, annualYield }
+ */
+export const calculateScenario = (scenario, { currentPrice, averageMonthlyDividend }) => {
+  const price = parseFloat(scenario.sharePrice) > 0 ? parseFloat(scenario.sharePrice) : currentPrice;
+  const dividend = scenario.useCustomDividend
+    ? parseFloat(scenario.customDividendAmount) || 0
+    : averageMonthlyDividend;
+  const sharesOwned = price > 0 ? scenario.investmentAmount / price : 0;
+  const monthlyIncome = dividend * sharesOwned;
+
+  return {
+    price,
+    dividend,
+    sharesOwned,
+    monthlyIncome,
+    annualIncome: monthlyIncome * 12,
+    annualYield: price > 0 ? (dividend * 12 / price) * 100 : 0
+  };
+};
+
+/**
+ * Compares scenarios side by side and overlays their projections
+ * Projections hold the share count fixed (no reinvestment) and apply each scenario's price drift
+ * @param {Array} scenarios - Scenarios to compare
+ * @param {Object} market - { currentPrice, averageMonthlyDividend }
+ * @param {number} [months] - Projection horizon
+ * @returns {Object} { rows: [{ scenario, ...figures, endingValue, totalIncome }], chartData }
+ */
+export const compareScenarios = (scenarios, market, months = 12) => {
+  const chartData = [];
+
+  const rows = scenarios.map(scenario => {
+    const figures = calculateScenario(scenario, market);
+    const projection = projectDividendReinvestment({
+      initialShares: figures.sharesOwned,
+      startPrice: figures.price,
+      monthlyDividend: figures.dividend,
+      months,
+      monthlyPriceChange: parseFloat(scenario.monthlyPriceChange) || 0,
+      reinvest: false
+    });
+
+    projection.forEach((row, index) => {
+      if (!chartData[index]) {
+        chartData[index] = { label: row.label };
+      }
+      // Income received plus the position's value, keyed by scenario id
+      chartData[index][scenario.id] = parseFloat((row.cumulativeIncome + row.positionValue).toFixed(2));
+    });
+
+    const last = projection[projection.length - 1];
+    return {
+      scenario,
+      ...figures,
+      totalIncome: last ? last.cumulativeIncome : 0,
+      endingValue: last ? last.positionValue + last.cumulativeIncome : 0
+    };
+  });
+
+  return { rows, chartData };
+};
@@ -0,0 +1,186 @@
+/**
+ * Monte Carlo Simulation Service for MSTY Dashboard
+ *
+ * This service resamples historical monthly price changes and distributions to build
+ * many possible future paths for a position, then reports percentile bands (P10, P50,
+ * P90) for cumulative income and ending position value month by month.
+ */
+
+import { isConfirmedRecord } from './dividendLifecycleService';
+
+export const SIMULATION_MONTH_OPTIONS = [12, 24, 36, 48, 60];
+export const SIMULATION_PATH_OPTIONS = [1000, 2000, 5000];
+
+// Monthly samples are only used when the price history covers enough months
+const MIN_PRICE_SAMPLES = 3;
+const MIN_RATE_SAMPLES = 3;
+
+/**
+ * Monthly close-to-close price changes from daily bars
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @returns {Array} Fractional changes (e.g. -0.05 for -5%)
+ */
+export const getMonthlyPriceChanges = (priceHistory) => {
+  const monthEndCloses = [];
+  (priceHistory || []).forEach(bar => {
+    const month = bar.date.slice(0, 7);
+    const last = monthEndCloses[monthEndCloses.length - 1];
+    if (last && last.month === month) {
+      last.close = bar.close;
+    } else {
+      monthEndCloses.push({ month, close: bar.close });
+    }
+  });
+
+  const changes = [];
+  for (let i = 1; i < monthEndCloses.length; i++) {
+    if (monthEndCloses[i - 1].close > 0) {
+      changes.push(monthEndCloses[i].close / monthEndCloses[i - 1].close - 1);
+    }
+  }
+  return changes;
+};
+
+/**
+ * Distributions as a fraction of the closing price before each ex-date
+ * @param {Array} dividendHistory - Dividend records with exDate
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @returns {Array} Distribution rates (e.g. 0.08 for 8% of price)
+ */
+export const getDistributionRates = (dividendHistory, priceHistory) => {
+  const bars = priceHistory || [];
+  return (dividendHistory || [])
+    .filter(div => isConfirmedRecord(div) && div.exDate)
+    .map(div => {
+      let before = null;
+      for (let i = 0; i < bars.length && bars[i].date < div.exDate; i++) {
+        before = bars[i];
+      }
+      return before && before.close > 0 ? div.dividend / before.close : null;
+    })
+    .filter(rate => rate !== null);
+};
+
+/**
+ * Historical samples the simulation draws from
+ * Distributions are resampled as a share of price when the price history covers them,
+ * so income shrinks along with the share price; otherwise per-share amounts are used.
+ * Without enough price history the price is held flat
+ * @param {Array} dividendHistory - Dividend records, newest first
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @returns {Object} { priceChanges, distributions, distributionMode ('rate' | 'amount'), flatPrice }
+ */
+export const buildSimulationSamples = (dividendHistory, priceHistory) => {
+  const monthlyChanges = getMonthlyPriceChanges(priceHistory);
+  const flatPrice = monthlyChanges.length < MIN_PRICE_SAMPLES;
+  const priceChanges = flatPrice ? [0] : monthlyChanges;
+  const rates = getDistributionRates(dividendHistory, priceHistory);
+
+  if (rates.length >= MIN_RATE_SAMPLES) {
+    return { priceChanges, distributions: rates, distributionMode: 'rate', flatPrice };
+  }
+
+  return {
+    priceChanges,
+    distributions: (dividendHistory || []).filter(isConfirmedRecord).map(div => div.dividend),
+    distributionMode: 'amount',
+    flatPrice
+  };
+};
+
+/**
+ * Value at a percentile of a sorted list (linear interpolation)
+ * @param {Array} sorted - Values sorted ascending
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value
+ */
+const percentileOf = (sorted, percentile) => {
+  if (sorted.length === 0) return 0;
+  const position = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Runs the Monte Carlo simulation
+ * Each month draws one historical price change and one distribution independently
+ * @param {Object} options - Simulation options
+ * @param {number} options.initialShares - Shares held at the start
+ * @param {number} options.startPrice - Share price at the start
+ * @param {number} options.months - Horizon in months (12-60)
+ * @param {number} options.paths - Number of simulated paths
+ * @param {Object} options.samples - From buildSimulationSamples
+ * @param {boolean} [options.reinvest=false] - Whether distributions buy more shares
+ * @param {Function} [options.random=Math.random] - Source of uniform random numbers in [0, 1)
+ * @param {Date} [options.startDate] - Date of the first simulated month (defaults to today)
+ * @returns {Object|null} { bands, final, paths, months, distributionMode, flatPrice } where each band row is
+ *   { month, label, incomeP10, incomeP50, incomeP90, valueP10, valueP50, valueP90 }
+ */
+export const runMonteCarloSimulation = ({
+  initialShares,
+  startPrice,
+  months,
+  paths,
+  samples,
+  reinvest = false,
+  random = Math.random,
+  startDate = new Date()
+}) => {
+  if (!initialShares || !startPrice || !months || !paths || !samples || samples.distributions.length === 0) {
+    return null;
+  }
+
+  const { priceChanges, distributions, distributionMode } = samples;
+  const pick = (values) => values[Math.floor(random() * values.length)];
+
+  // incomeByMonth[m][p] and valueByMonth[m][p]
+  const incomeByMonth = Array.from({ length: months }, () => new Float64Array(paths));
+  const valueByMonth = Array.from({ length: months }, () => new Float64Array(paths));
+
+  for (let p = 0; p < paths; p++) {
+    let shares = initialShares;
+    let price = startPrice;
+    let cumulativeIncome = 0;
+
+    for (let m = 0; m < months; m++) {
+      // Price moves first, then the distribution is paid on the shares held
+      price = Math.max(0, price * (1 + pick(priceChanges)));
+      const perShare = distributionMode === 'rate' ? price * pick(distributions) : pick(distributions);
+      const income = shares * perShare;
+      cumulativeIncome += income;
+
+      if (reinvest && price > 0) {
+        shares += income / price;
+      }
+
+      incomeByMonth[m][p] = cumulativeIncome;
+      valueByMonth[m][p] = shares * price;
+    }
+  }
+
+  const bands = incomeByMonth.map((incomes, m) => {
+    const sortedIncome = incomes.sort();
+    const sortedValue = valueByMonth[m].sort();
+    const date = new Date(startDate.getFullYear(), startDate.getMonth() + m, 1);
+    return {
+      month: m + 1,
+      label: `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`,
+      incomeP10: percentileOf(sortedIncome, 10),
+      incomeP50: percentileOf(sortedIncome, 50),
+      incomeP90: percentileOf(sortedIncome, 90),
+      valueP10: percentileOf(sortedValue, 10),
+      valueP50: percentileOf(sortedValue, 50),
+      valueP90: percentileOf(sortedValue, 90)
+    };
+  });
+
+  return {
+    bands,
+    final: bands[bands.length - 1],
+    paths,
+    months,
+    distributionMode,
+    flatPrice: Boolean(samples.flatPrice)
+  };
+};
@@ -0,0 +1,89 @@
+/**
+ * Tax Service for MSTY Dashboard
+ *
+ * This service estimates after-tax distribution income. The return of capital (ROC)
+ * share of a distribution is not taxed when paid; the rest is taxed as ordinary income.
+ */
+
+const STORAGE_KEY = 'mstyTaxSettings';
+
+// Federal ordinary income brackets (percent)
+export const FEDERAL_BRACKETS = [10, 12, 22, 24, 32, 35, 37];
+
+export const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  federalRate: 22,
+  stateRate: 0,
+  rocPercent: 0
+};
+
+/**
+ * Loads saved tax settings, falling back to defaults
+ * @returns {Object} Tax settings
+ */
+export const loadTaxSettings = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? { ...DEFAULT_TAX_SETTINGS, ...JSON.parse(saved) } : { ...DEFAULT_TAX_SETTINGS };
+  } catch (error) {
+    console.error('Error loading tax settings:', error);
+    return { ...DEFAULT_TAX_SETTINGS };
+  }
+};
+
+/**
+ * Saves tax settings
+ * @param {Object} settings - Tax settings
+ */
+export const saveTaxSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Return of capital percentage for a distribution
+ * A per-record rocPercent takes precedence over the assumed setting
+ * @param {Object|null} record - Dividend record (may be null for projections)
+ * @param {Object} settings - Tax settings
+ * @returns {number} ROC percentage (0-100)
+ */
+export const getRocPercent = (record, settings) => {
+  if (record && typeof record.rocPercent === 'number') {
+    return record.rocPercent;
+  }
+  return settings.rocPercent || 0;
+};
+
+/**
+ * Splits gross distribution income into ROC, tax and after-tax amounts
+ * @param {number} grossAmount - Gross distribution income
+ * @param {Object} settings - Tax settings
+ * @param {number} [rocPercent] - ROC percentage override for this distribution
+ * @returns {Object} Gross, ROC, taxable, tax and after-tax amounts
+ */
+export const calculateAfterTax = (grossAmount, settings, rocPercent = settings.rocPercent) => {
+  const rocShare = Math.min(Math.max(rocPercent || 0, 0), 100) / 100;
+  const combinedRate = ((settings.federalRate || 0) + (settings.stateRate || 0)) / 100;
+
+  const returnOfCapital = grossAmount * rocShare;
+  const taxable = grossAmount - returnOfCapital;
+  const tax = taxable * combinedRate;
+
+  return {
+    gross: grossAmount,
+    returnOfCapital,
+    taxable,
+    tax,
+    afterTax: grossAmount - tax
+  };
+};
+
+/**
+ * After-tax amount for a dividend record
+ * @param {number} grossAmount - Gross income from the record
+ * @param {Object} record - Dividend record
+ * @param {Object} settings - Tax settings
+ * @returns {number} After-tax amount
+ */
+export const afterTaxForRecord = (grossAmount, record, settings) => {
+  return calculateAfterTax(grossAmount, settings, getRocPercent(record, settings)).afterTax;
+};
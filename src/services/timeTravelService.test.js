@@ -0,0 +1,172 @@
+import { checkForNewDividendData, forceUpdateCurrentMonth } from './financeService';
+import { createFixedClock, createSeededRandom, parseLocalDate } from './clockService';
+import { getHistoryKnownOn, replayAutoUpdate, replayAutoUpdateRange } from './timeTravelService';
+import { getFund } from './fundConfig';
+import { forecastDividend } from './forecastService';
+
+const history = getFund('MSTY').fallbackDividends.map(div => ({ ...div, source: 'fallback' }));
+
+const replayParams = {
+  dividendHistory: history,
+  currentPrice: 20,
+  modelId: 'weightedAverage',
+  seed: 'test'
+};
+
+// Runs the pipeline with a fresh clock and generator for the given date and seed
+const runPipeline = (isoDate, seed) => checkForNewDividendData(history, 20, 'weightedAverage', null, {
+  clock: createFixedClock(parseLocalDate(isoDate)),
+  random: createSeededRandom(seed)
+});
+
+beforeEach(() => {
+  // The pipeline logs each simulated announcement
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('checkForNewDividendData with an injected clock and random source', () => {
+  test('adds the same estimate every time for a fixed date and seed', async () => {
+    const first = await runPipeline('2025-07-28', 'fixed');
+    const second = await runPipeline('2025-07-28', 'fixed');
+
+    expect(second).toEqual(first);
+    expect(first).toHaveLength(history.length + 1);
+    expect(first[0]).toMatchObject({ month: 'Jul', year: 2025, source: 'estimator', status: 'projected' });
+  });
+
+  test('leaves the history alone when the month is already on file', async () => {
+    expect(await runPipeline('2025-06-15', 'fixed')).toEqual(history);
+  });
+
+  test('forces the same current-month estimate for a fixed date and seed', () => {
+    const run = () => forceUpdateCurrentMonth(history, 20, 'weightedAverage', null, {
+      clock: createFixedClock(parseLocalDate('2025-07-10')),
+      random: createSeededRandom('fixed')
+    });
+    expect(run()).toEqual(run());
+  });
+});
+
+describe('replayAutoUpdate', () => {
+  test('gives the same output every time for a fixed date', async () => {
+    for (const date of ['2025-06-30', '2025-07-01', '2025-07-15', '2025-07-28']) {
+      const first = await replayAutoUpdate({ ...replayParams, date });
+      const second = await replayAutoUpdate({ ...replayParams, date });
+      expect(second).toEqual(first);
+      expect(first.date).toBe(date);
+      expect(first.seed).toBe(`test:${date}`);
+    }
+  });
+
+  test('gives the same output every time for a fixed range', async () => {
+    const first = await replayAutoUpdateRange({ ...replayParams, date: '2025-06-20', days: 14 });
+    const second = await replayAutoUpdateRange({ ...replayParams, date: '2025-06-20', days: 14 });
+    expect(second).toEqual(first);
+    expect(first).toHaveLength(14);
+    expect(first[0].date).toBe('2025-06-20');
+    expect(first[13].date).toBe('2025-07-03');
+  });
+
+  test('matches the pipeline run with a fixed clock and the seeded generator', async () => {
+    for (const date of ['2025-06-30', '2025-07-01', '2025-07-28']) {
+      const result = await replayAutoUpdate({ ...replayParams, date });
+      const updated = await runPipeline(date, `test:${date}`);
+      expect(result.added).toEqual(updated.length > history.length ? updated[0] : null);
+    }
+  });
+
+  test('only uses distributions known on the replay date', async () => {
+    const result = await replayAutoUpdate({ ...replayParams, date: '2025-03-01' });
+    expect(result.known).toBe(getHistoryKnownOn(history, '2025-03-01').length);
+    expect(result.known).toBeLessThan(history.length);
+  });
+
+  test('returns null for an invalid date', async () => {
+    expect(await replayAutoUpdate({ ...replayParams, date: '2025-02-30' })).toBeNull();
+  });
+});
+
+describe('replayAutoUpdate at pinned dates', () => {
+  const july = forecastDividend(history, 'weightedAverage', { month: 'Jul', year: 2025 }).estimate;
+
+  test('adds no estimate before the payment is due on the 12th', async () => {
+    const replays = await replayAutoUpdateRange({ ...replayParams, date: '2025-07-04', days: 8 });
+
+    expect(replays.map(replay => replay.added)).toEqual(Array(8).fill(null));
+    expect(replays[7].schedule.current).toMatchObject({
+      month: 'Jul',
+      year: 2025,
+      present: false,
+      paymentDue: false,
+      announcementWindow: false
+    });
+  });
+
+  test('adds a projected estimate for the month once the payment is due', async () => {
+    const result = await replayAutoUpdate({ ...replayParams, date: '2025-07-12' });
+
+    expect(result.schedule.current.paymentDue).toBe(true);
+    expect(result.added).toEqual({
+      month: 'Jul',
+      year: 2025,
+      dividend: parseFloat(july.toFixed(4)),
+      yield: parseFloat(((july / 20) * 100).toFixed(2)),
+      exDate: '2025-07-05',
+      payDate: '2025-07-06',
+      source: 'estimator',
+      status: 'projected'
+    });
+
+    const later = await replayAutoUpdateRange({ ...replayParams, date: '2025-07-13', days: 3 });
+    later.forEach(replay => {
+      expect(replay.added).toMatchObject({ month: 'Jul', year: 2025, status: 'projected', dividend: parseFloat(july.toFixed(4)) });
+      expect(replay.added.exDate >= '2025-07-05' && replay.added.exDate <= '2025-07-08').toBe(true);
+    });
+  });
+
+  test('only announces next month early from the 25th', async () => {
+    const replays = await replayAutoUpdateRange({ ...replayParams, date: '2025-06-20', days: 11 });
+
+    expect(replays.map(replay => replay.schedule.next.announcementWindow))
+      .toEqual([false, false, false, false, false, true, true, true, true, true, true]);
+    expect(replays.slice(0, 5).map(replay => replay.added)).toEqual(Array(5).fill(null));
+
+    const announced = replays.filter(replay => replay.added);
+    expect(announced.map(replay => replay.date)).toEqual(['2025-06-29']);
+    expect(announced[0].added).toMatchObject({ month: 'Jul', year: 2025, source: 'estimator', status: 'announced' });
+    expect(announced[0].added.exDate.startsWith('2025-07-')).toBe(true);
+  });
+
+  test('rolls over from the last day of a month to the next one', async () => {
+    const result = await replayAutoUpdate({ ...replayParams, date: '2025-01-31' });
+
+    expect(result.schedule.current).toMatchObject({ month: 'Jan', year: 2025, present: true });
+    expect(result.schedule.next).toEqual({
+      month: 'Feb',
+      year: 2025,
+      monthIndex: 1,
+      present: false,
+      announcementWindow: true
+    });
+    expect(result.added).toMatchObject({ month: 'Feb', year: 2025, status: 'announced', exDate: '2025-02-08' });
+  });
+
+  test('rolls over from December into January of the next year', async () => {
+    const replays = await replayAutoUpdateRange({ ...replayParams, date: '2024-12-25', days: 7 });
+
+    replays.forEach(replay => {
+      expect(replay.schedule.next).toMatchObject({ month: 'Jan', year: 2025, monthIndex: 0, present: false });
+    });
+
+    const announced = replays.filter(replay => replay.added);
+    expect(announced.map(replay => replay.date)).toEqual(['2024-12-25', '2024-12-30']);
+    announced.forEach(replay => {
+      expect(replay.added).toMatchObject({ month: 'Jan', year: 2025, status: 'announced' });
+      expect(replay.added.exDate.startsWith('2025-01-')).toBe(true);
+    });
+  });
+});
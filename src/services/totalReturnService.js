@@ -0,0 +1,85 @@
+/**
+ * Total Return Service for MSTY Dashboard
+ *
+ * This service combines daily price history with dividend history to show whether
+ * distributions outpaced price decay (NAV erosion). Distributions are not reinvested.
+ */
+
+import { isConfirmedRecord } from './dividendLifecycleService';
+
+/**
+ * Finds the first daily bar on or after a date
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @param {string} date - ISO date
+ * @returns {Object|null} Matching bar
+ */
+export const findBarOnOrAfter = (priceHistory, date) => {
+  return priceHistory.find(bar => bar.date >= date) || null;
+};
+
+/**
+ * Calculates price, distribution and total return from a start date
+ * Buying at the start date's close entitles the holder to distributions
+ * whose ex-date falls after that day. Estimates are not cash received and are left out
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @param {Array} dividendHistory - Dividend records with exDate
+ * @param {string} startDate - ISO date to measure from
+ * @returns {Object|null} Return summary and daily series, or null without price data
+ */
+export const calculateTotalReturn = (priceHistory, dividendHistory, startDate) => {
+  if (!priceHistory || priceHistory.length === 0) {
+    return null;
+  }
+
+  const startBar = findBarOnOrAfter(priceHistory, startDate);
+  if (!startBar || !startBar.close) {
+    return null;
+  }
+
+  const startPrice = startBar.close;
+  const endBar = priceHistory[priceHistory.length - 1];
+
+  // Confirmed distributions received after the start date, oldest first
+  const distributions = dividendHistory
+    .filter(div => isConfirmedRecord(div) && div.exDate && div.exDate > startBar.date && div.exDate <= endBar.date)
+    .sort((a, b) => (a.exDate < b.exDate ? -1 : 1));
+
+  let distributionIndex = 0;
+  let cumulativeDistributions = 0;
+
+  const series = priceHistory
+    .filter(bar => bar.date >= startBar.date)
+    .map(bar => {
+      while (distributionIndex < distributions.length && distributions[distributionIndex].exDate <= bar.date) {
+        cumulativeDistributions += distributions[distributionIndex].dividend;
+        distributionIndex++;
+      }
+
+      const priceReturn = ((bar.close - startPrice) / startPrice) * 100;
+      const distributionReturn = (cumulativeDistributions / startPrice) * 100;
+
+      return {
+        date: bar.date,
+        close: bar.close,
+        cumulativeDistributions,
+        priceReturn,
+        distributionReturn,
+        totalReturn: priceReturn + distributionReturn
+      };
+    });
+
+  const last = series[series.length - 1];
+
+  return {
+    startDate: startBar.date,
+    endDate: endBar.date,
+    startPrice,
+    endPrice: endBar.close,
+    distributionsPerShare: last.cumulativeDistributions,
+    distributionCount: distributions.length,
+    priceReturn: last.priceReturn,
+    distributionReturn: last.distributionReturn,
+    totalReturn: last.totalReturn,
+    series
+  };
+};
@@ -0,0 +1,37 @@
+import { calculateTotalReturn } from './totalReturnService';
+
+const priceHistory = [
+  { date: '2025-06-02', open: 21.2, high: 21.71, low: 21.02, close: 20 },
+  { date: '2025-06-03', open: 21.4, high: 21.52, low: 20.88, close: 19.5 },
+  { date: '2025-06-04', open: 21.16, high: 21.3, low: 20.71, close: 19 },
+  { date: '2025-06-05', open: 20.94, high: 21.05, low: 20.49, close: 18 }
+];
+
+const confirmed = { month: 'Jun', year: 2025, dividend: 2, exDate: '2025-06-04', payDate: '2025-06-05', source: 'api' };
+
+describe('calculateTotalReturn', () => {
+  test('adds confirmed distributions from their ex-date', () => {
+    const result = calculateTotalReturn(priceHistory, [confirmed], '2025-06-02');
+
+    expect(result.distributionCount).toBe(1);
+    expect(result.distributionsPerShare).toBe(2);
+    expect(result.priceReturn).toBeCloseTo(-10, 6);
+    expect(result.distributionReturn).toBeCloseTo(10, 6);
+    expect(result.totalReturn).toBeCloseTo(0, 6);
+    expect(result.series.map(day => day.cumulativeDistributions)).toEqual([0, 0, 2, 2]);
+  });
+
+  test('leaves projected and announced estimates out of the distributions received', () => {
+    const projected = { month: 'Jun', year: 2025, dividend: 5, exDate: '2025-06-03', source: 'estimator', status: 'projected' };
+    const announced = { ...projected, dividend: 3, exDate: '2025-06-05', status: 'announced' };
+    const result = calculateTotalReturn(priceHistory, [announced, confirmed, projected], '2025-06-02');
+
+    expect(result.distributionCount).toBe(1);
+    expect(result.distributionsPerShare).toBe(2);
+    expect(result.totalReturn).toBeCloseTo(0, 6);
+  });
+
+  test('returns null without price data', () => {
+    expect(calculateTotalReturn([], [confirmed], '2025-06-02')).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * URL State Service for MSTY Dashboard
+ *
+ * This service encodes the calculator and scenario inputs in the URL query string so a
+ * view can be linked, restores them on load, and builds read-only snapshot links.
+ */
+
+export const DRIP_MONTH_OPTIONS = [12, 24, 36, 60];
+
+const SNAPSHOT_PARAM = 'view';
+const SNAPSHOT_VALUE = 'snapshot';
+
+/**
+ * Builds the query string for the calculator state
+ * Options that are switched off are omitted to keep links short
+ * @param {Object} state - { symbol, investmentAmount, sharePrice, useCustomDividend,
+ *   customDividendAmount, scenarioName, dripEnabled, dripMonths, monthlyPriceChange }
+ * @param {Object} [options] - { snapshot } marks the link as a read-only snapshot
+ * @returns {string} Query string without the leading "?"
+ */
+export const encodeCalculatorState = (state, { snapshot = false } = {}) => {
+  const params = new URLSearchParams();
+
+  if (state.symbol) params.set('fund', state.symbol);
+  params.set('amount', String(state.investmentAmount));
+  if (parseFloat(state.sharePrice) > 0) params.set('price', String(state.sharePrice));
+
+  if (state.useCustomDividend && state.customDividendAmount !== '') {
+    params.set('dividend', String(state.customDividendAmount));
+  }
+  if (state.scenarioName) params.set('scenario', state.scenarioName);
+
+  if (state.dripEnabled) {
+    params.set('drip', String(state.dripMonths));
+    if (parseFloat(state.monthlyPriceChange)) params.set('priceChange', String(state.monthlyPriceChange));
+  }
+
+  if (snapshot) params.set(SNAPSHOT_PARAM, SNAPSHOT_VALUE);
+  return params.toString();
+};
+
+/**
+ * Reads calculator state from a query string, ignoring values that are out of range
+ * @param {string} search - Query string, with or without the leading "?"
+ * @param {Array} [symbols] - Supported fund symbols
+ * @returns {Object} Only the fields present and valid in the URL
+ */
+export const decodeCalculatorState = (search, symbols = []) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  const fund = (params.get('fund') || '').toUpperCase();
+  if (symbols.includes(fund)) state.symbol = fund;
+
+  const amount = parseFloat(params.get('amount'));
+  if (amount > 0) state.investmentAmount = amount;
+
+  const sharePrice = parseFloat(params.get('price'));
+  if (sharePrice > 0) state.sharePrice = String(sharePrice);
+
+  const dividend = parseFloat(params.get('dividend'));
+  if (dividend > 0) {
+    state.useCustomDividend = true;
+    state.customDividendAmount = String(dividend);
+  }
+
+  const scenarioName = params.get('scenario');
+  if (scenarioName) state.scenarioName = scenarioName.slice(0, 100);
+
+  const dripMonths = parseInt(params.get('drip'), 10);
+  if (DRIP_MONTH_OPTIONS.includes(dripMonths)) {
+    state.dripEnabled = true;
+    state.dripMonths = dripMonths;
+    const priceChange = parseFloat(params.get('priceChange'));
+    if (!isNaN(priceChange) && priceChange > -100) state.monthlyPriceChange = String(priceChange);
+  }
+
+  return state;
+};
+
+/**
+ * Whether the URL opens a read-only snapshot
+ * @param {string} search - Query string
+ * @returns {boolean} True for snapshot links
+ */
+export const isSnapshotView = (search) => new URLSearchParams(search).get(SNAPSHOT_PARAM) === SNAPSHOT_VALUE;
+
+/**
+ * Full link to the dashboard with the given calculator state
+ * @param {Object} state - See encodeCalculatorState
+ * @param {Object} [options] - { snapshot, location } (location defaults to window.location)
+ * @returns {string} Absolute URL
+ */
+export const buildShareUrl = (state, { snapshot = false, location = window.location } = {}) => (
+  `${location.origin}${location.pathname}?${encodeCalculatorState(state, { snapshot })}`
+);
+
+/**
+ * Replaces the current URL's query string without adding a history entry
+ * @param {string} query - Query string from encodeCalculatorState
+ */
+export const replaceUrlQuery = (query) => {
+  try {
+    if (window.location.search !== `?${query}`) {
+      window.history.replaceState(null, '', `${window.location.pathname}?${query}${window.location.hash}`);
+    }
+  } catch (error) {
+    // Some embedded contexts block history updates; the dashboard still works without them
+    console.error('Error updating URL state:', error);
+  }
+};
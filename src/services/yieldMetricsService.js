@@ -0,0 +1,206 @@
+/**
+ * Yield Metrics Service for MSTY Dashboard
+ *
+ * This service computes distribution yields over real date windows instead of counting
+ * records, so a missing month or an inserted estimate cannot change the span measured.
+ * Every metric carries the exact definition shown next to it in the dashboard.
+ */
+
+import { findBarOnOrAfter } from './totalReturnService';
+import { isConfirmedRecord } from './dividendLifecycleService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TRAILING_WINDOW_DAYS = 365;
+
+// Payment frequencies the inferred distributions per year are snapped to
+const DISTRIBUTION_FREQUENCIES = [52, 26, 12, 4, 2, 1];
+
+// An ex-date bar further away than this is a gap in the price data, not a holiday
+const MAX_EX_DATE_BAR_GAP_DAYS = 5;
+
+export const YIELD_METRIC_DEFINITIONS = {
+  ttmYield: {
+    label: 'TTM Distribution Yield',
+    definition: 'Sum of confirmed distributions with an ex-date in the last 365 days, divided by the current price. Estimates are excluded.'
+  },
+  latestAnnualized: {
+    label: 'Latest Distribution Annualized',
+    definition: 'Most recent confirmed distribution multiplied by the number of distributions per year (weekly, monthly, quarterly, etc., from the median gap between ex-dates), divided by the current price.'
+  },
+  averageTtmDistribution: {
+    label: 'Average Distribution (TTM)',
+    definition: 'Average of the confirmed distributions with an ex-date in the last 365 days. Falls back to all confirmed distributions when none are that recent.'
+  },
+  exDateYield: {
+    label: 'Distribution Yield at Ex-Date',
+    definition: 'Each distribution divided by the closing price on its ex-dividend date. The reported yield is shown where no price is loaded for that date.'
+  }
+};
+
+const toIsoDate = (date) => date.toISOString().split('T')[0];
+
+// Confirmed or revised records; projected and announced estimator output is left out
+const getConfirmed = (history) => (history || []).filter(div => div.exDate && isConfirmedRecord(div));
+
+/**
+ * Confirmed distributions whose ex-date falls inside a trailing window
+ * @param {Array} history - Dividend records with exDate
+ * @param {Object} [options] - { asOf: window end (defaults to today), days: window length }
+ * @returns {Object} { records, windowStart, windowEnd } with dates as ISO strings
+ */
+export const getTrailingDistributions = (history, { asOf = new Date(), days = TRAILING_WINDOW_DAYS } = {}) => {
+  const windowEnd = toIsoDate(asOf);
+  const windowStart = toIsoDate(new Date(asOf.getTime() - days * DAY_MS));
+  const records = getConfirmed(history)
+    .filter(div => div.exDate > windowStart && div.exDate <= windowEnd);
+  return { records, windowStart, windowEnd };
+};
+
+/**
+ * Trailing-twelve-month distribution yield
+ * @param {Array} history - Dividend records with exDate
+ * @param {number} price - Current price
+ * @param {Date} [asOf] - Window end (defaults to today)
+ * @returns {Object} { value (null without a price), total, count, windowStart, windowEnd }
+ */
+export const calculateTtmYield = (history, price, asOf = new Date()) => {
+  const { records, windowStart, windowEnd } = getTrailingDistributions(history, { asOf });
+  const total = records.reduce((sum, div) => sum + div.dividend, 0);
+  return {
+    value: price > 0 ? (total / price) * 100 : null,
+    total,
+    count: records.length,
+    windowStart,
+    windowEnd
+  };
+};
+
+/**
+ * Distributions per year, from the median gap between consecutive confirmed ex-dates
+ * snapped to the nearest standard frequency (a 33-day median gap is still monthly)
+ * @param {Array} history - Dividend records with exDate
+ * @returns {number} Distributions per year (12 when there are too few records to tell)
+ */
+export const getDistributionsPerYear = (history) => {
+  const dates = getConfirmed(history).map(div => div.exDate).sort();
+  if (dates.length < 3) return 12;
+
+  const gaps = dates.slice(1)
+    .map((date, index) => (new Date(date) - new Date(dates[index])) / DAY_MS)
+    .sort((a, b) => a - b);
+  const middle = Math.floor(gaps.length / 2);
+  const medianGap = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+  if (medianGap <= 0) return 12;
+
+  const raw = 365 / medianGap;
+  return DISTRIBUTION_FREQUENCIES.reduce((best, frequency) => (
+    Math.abs(Math.log(frequency / raw)) < Math.abs(Math.log(best / raw)) ? frequency : best
+  ));
+};
+
+/**
+ * Latest confirmed distribution at its annual run rate
+ * @param {Array} history - Dividend records with exDate
+ * @param {number} price - Current price
+ * @returns {Object|null} { value (null without a price), dividend, exDate, perYear }, or null without records
+ */
+export const calculateLatestAnnualizedYield = (history, price) => {
+  const latest = [...getConfirmed(history)].sort((a, b) => b.exDate.localeCompare(a.exDate))[0];
+  if (!latest) return null;
+
+  const perYear = getDistributionsPerYear(history);
+  return {
+    value: price > 0 ? (latest.dividend * perYear / price) * 100 : null,
+    dividend: latest.dividend,
+    exDate: latest.exDate,
+    perYear
+  };
+};
+
+/**
+ * Average confirmed distribution over the trailing window
+ * The value is per payment; monthly scales it by the distributions per year, so a weekly
+ * payer's monthly figure covers about four payments
+ * @param {Array} history - Dividend records with exDate
+ * @param {Date} [asOf] - Window end (defaults to today)
+ * @returns {Object} { value (per payment), monthly, perYear, count, basis: 'ttm' | 'all' | 'none' }
+ */
+export const calculateAverageDistribution = (history, asOf = new Date()) => {
+  const { records } = getTrailingDistributions(history, { asOf });
+  const basis = records.length > 0 ? 'ttm' : 'all';
+  const used = records.length > 0 ? records : getConfirmed(history);
+  const perYear = getDistributionsPerYear(history);
+  if (used.length === 0) {
+    return { value: 0, monthly: 0, perYear, count: 0, basis: 'none' };
+  }
+  const value = used.reduce((sum, div) => sum + div.dividend, 0) / used.length;
+  return {
+    value,
+    monthly: value * perYear / 12,
+    perYear,
+    count: used.length,
+    basis
+  };
+};
+
+/**
+ * Replaces each record's yield with the yield at its ex-date close where a bar exists
+ * @param {Array} history - Dividend records with exDate
+ * @param {Array} priceHistory - Daily bars sorted oldest first
+ * @returns {Array} Copies of the records with yield, exDatePrice and yieldSource ('exDatePrice' | 'reported')
+ */
+export const withExDateYields = (history, priceHistory) => {
+  const bars = priceHistory || [];
+  return (history || []).map(div => {
+    const bar = div.exDate && bars.length > 0 ? findBarOnOrAfter(bars, div.exDate) : null;
+    const gapDays = bar ? (new Date(bar.date) - new Date(div.exDate)) / DAY_MS : Infinity;
+    if (!bar || !bar.close || gapDays > MAX_EX_DATE_BAR_GAP_DAYS) {
+      return { ...div, exDatePrice: null, yieldSource: 'reported' };
+    }
+    return {
+      ...div,
+      yield: (div.dividend / bar.close) * 100,
+      exDatePrice: bar.close,
+      yieldSource: 'exDatePrice'
+    };
+  });
+};
+
+/**
+ * All headline yield metrics with their labels and definitions
+ * @param {Object} params - { dividendHistory, currentPrice, asOf }
+ * @returns {Array} Metrics: { id, unit: 'percent' | 'dollars', label, definition, value, detail }
+ */
+export const calculateYieldMetrics = ({ dividendHistory, currentPrice, asOf = new Date() }) => {
+  const ttm = calculateTtmYield(dividendHistory, currentPrice, asOf);
+  const latest = calculateLatestAnnualizedYield(dividendHistory, currentPrice);
+  const average = calculateAverageDistribution(dividendHistory, asOf);
+
+  return [
+    {
+      id: 'ttmYield',
+      unit: 'percent',
+      ...YIELD_METRIC_DEFINITIONS.ttmYield,
+      value: ttm.value,
+      detail: `$${ttm.total.toFixed(4)} from ${ttm.count} distribution${ttm.count === 1 ? '' : 's'}, ${ttm.windowStart} to ${ttm.windowEnd}`
+    },
+    {
+      id: 'latestAnnualized',
+      unit: 'percent',
+      ...YIELD_METRIC_DEFINITIONS.latestAnnualized,
+      value: latest ? latest.value : null,
+      detail: latest
+        ? `$${latest.dividend.toFixed(4)} (ex ${latest.exDate}) x ${latest.perYear} per year`
+        : 'No confirmed distributions'
+    },
+    {
+      id: 'averageTtmDistribution',
+      unit: 'dollars',
+      ...YIELD_METRIC_DEFINITIONS.averageTtmDistribution,
+      value: average.count > 0 ? average.value : null,
+      detail: average.basis === 'all'
+        ? `None in the last ${TRAILING_WINDOW_DAYS} days; average of all ${average.count} confirmed`
+        : `${average.count} distribution${average.count === 1 ? '' : 's'}`
+    }
+  ];
+};